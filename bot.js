@@ -14,8 +14,36 @@ import {
   PermissionFlagsBits,
   ActionRowBuilder,
   StringSelectMenuBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  InteractionContextType,
+  ModalBuilder,
+  LabelBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  UserSelectMenuBuilder,
+  RoleSelectMenuBuilder,
   MessageFlags
 } from 'discord.js';
+import fs from 'node:fs';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { openStore, readJsonFile, writeJsonAtomic } from './store.js';
+import {
+  CONFIG_SETTINGS, parseFlag, envValue, validateConfig, applyEnvOverrides, envOverriddenFields
+} from './config.js';
+import {
+  DISPUTE_STATES, APPEAL_OUTCOMES, stateOf, stateLabel, canMoveTo, stateRefusal, statusLine, moveDisputeState
+} from './lifecycle.js';
+import {
+  setPlayersLine, setIssueLine, setCountriesLine, appealOfLine, parseThreadLog, raiserFromOrigin
+} from './threadlog.js';
+import { DECISION_META_OPTIONS, validateTemplates, renderDecision } from './templates.js';
+import {
+  DEFAULT_LANGUAGE, loadLocales, t, hasLanguage, languageName,
+  languageChoices, languageForCountry, decisionCatalog
+} from './i18n.js';
+import { renderMarkdown, renderHtml } from './transcript.js';
 
 
 // ====== TOKEN ONLY FROM ENV ======
@@ -25,8 +53,9 @@ if (!token || !token.includes('.')) {
   process.exit(1);
 }
 
+// ====== RUNTIME CONFIG ======
 /**
- * HARD-CODED SERVER/CHANNEL/ROLE/USER IDS
+ * DEFAULT SERVER/CHANNEL/ROLE/USER IDS
  *
  * Gymbreakers Server ID:              416850757245992961
  * Gymbreakers Referee Role ID:        731919384179638285
@@ -39,51 +68,124 @@ if (!token || !token.includes('.')) {
  * Pogo Raiders Dispute Request ID:    1420609143894442054
  *
  * Bot user ID (for @mention trigger): 1417212106461286410
+ *
+ * Precedence: DEFAULT_CONFIG < config file (CONFIG_PATH) < env overrides.
+ * The file is seeded from DEFAULT_CONFIG on first boot and edited by /config.
  */
+const DEFAULT_CONFIG = {
+  // Destination (Gymbreakers) for ALL dispute threads
+  destGuildId: '416850757245992961',
+  destRefHubChannelId: '731919732441350215', // Gymbreakers Referee Decision = thread hub
+
+  // Destination referee roles (Gymbreakers only)
+  refRoleId: '731919384179638285',   // Gymbreakers Referee
+  jrRefRoleId: '975306021058777149', // Gymbreakers Junior Referee
+
+  // Only re-add this role on /retag_refs
+  retagRoleId: '963394397687414804',
+
+  // Optional: destination review channel & rules reference (leave empty if not used)
+  disputeReviewChannelId: '', // lives in destination (Gymbreakers)
+  rulesChannelId: '',         // global fallback for rules mention
+
+  // Minimum eligible referee votes for /vote_close to declare a result (0 = no quorum)
+  voteQuorum: 3,
+
+  // Hours the opponent has to answer the bot's questions once /set players names them (0 = no deadline)
+  opponentResponseHours: 24,
+
+  // Referee SLA, in hours since the dispute was raised (0 = off for each):
+  slaDecisionHours: 24,  // remind the thread when there is still no decision
+  slaEscalateHours: 48,  // then pull in and ping the head-ref role (or the retag role)
+  slaReplyHours: 24,     // remind when a player has not answered a /message
+  autoCloseHours: 0,     // close (and DM) when the disputer has been silent this long
+  headRefRoleId: '',     // escalation target (falls back to the retag role); head refs pass every command check
+
+  // Channel (destination server) that receives the HTML + Markdown transcript of every closed dispute
+  transcriptChannelId: '',
+
+  // Open disputes raised within this many hours of each other with the same players or
+  // the same country pair are cross-linked as possible duplicates (0 = off)
+  duplicateWindowHours: 48,
+
+  // Pick a lead referee for every new dispute: fewest open leads first, then whoever led least recently
+  autoAssignLead: false,
+
+  // Origins (where we LISTEN for disputes), keyed by guild ID.
+  // An origin may also name its own destination: destGuildId, destRefHubChannelId,
+  // refRoleId, jrRefRoleId, retagRoleId (each falls back to the global value above).
+  // triggerOnClose: 'delete' removes the trigger message and its status reply on close,
+  // 'keep' leaves both in place with the final status.
+  origins: {
+    '416850757245992961': {
+      key: 'GYM',
+      disputeChannelId: '743575738665533541',
+      triggerRoleId: '731919384179638285', // Referee role as trigger
+      rulesChannelId: null,
+      triggerOnClose: 'delete'
+    },
+    '736744916012630046': {
+      key: 'RAID',
+      disputeChannelId: '1420609143894442054',
+      triggerRoleId: '797983986152243200', // Referee role as trigger
+      rulesChannelId: null,
+      triggerOnClose: 'delete'
+    }
+  }
+};
 
-// ----- Destination (Gymbreakers) for ALL dispute threads -----
-const DEST_GUILD_ID           = '416850757245992961';
-const DEST_REF_HUB_CHANNEL_ID = '731919732441350215'; // Gymbreakers Referee Decision = thread hub
-
-// ----- Destination referee roles (Gymbreakers only) -----
-const REF_ROLE_ID    = '731919384179638285'; // Gymbreakers Referee
-const JR_REF_ROLE_ID = '975306021058777149'; // Gymbreakers Junior Referee
-
-// Only re-add this role on /retag_refs
-const RETAG_ROLE_ID  = '963394397687414804';
+const CONFIG_PATH = (process.env.CONFIG_PATH ?? '').trim() || './data/config.json';
 
-// ----- Origins (where we LISTEN for disputes) -----
-const GYM_GUILD_ID               = '416850757245992961';
-const GYM_DISPUTE_CHANNEL_ID     = '743575738665533541';
-const GYM_TRIGGER_ROLE_ID        = '731919384179638285'; // Referee role as trigger
+let fileConfig; // what is saved in CONFIG_PATH
+let config;     // effective config (file + env overrides) — read this everywhere
+try {
+  fileConfig = { ...structuredClone(DEFAULT_CONFIG), ...readJsonFile(CONFIG_PATH, null) };
+  if (!fs.existsSync(CONFIG_PATH)) writeJsonAtomic(CONFIG_PATH, fileConfig);
+  config = applyEnvOverrides(fileConfig);
+} catch (e) {
+  console.error(`❌ Cannot read config file ${CONFIG_PATH}:`, e?.message || e);
+  process.exit(1);
+}
+{
+  const errors = validateConfig(config);
+  if (errors.length) {
+    console.error(`❌ Invalid config (${CONFIG_PATH} + env):\n  • ${errors.join('\n  • ')}`);
+    process.exit(1);
+  }
+}
 
-const RAID_GUILD_ID              = '736744916012630046';
-const RAID_DISPUTE_CHANNEL_ID    = '1420609143894442054';
-const RAID_TRIGGER_ROLE_ID       = '797983986152243200'; // Referee role as trigger
+// Destination hub + referee roster for disputes raised in an origin server
+function destinationFor(originGuildId) {
+  const o = config.origins[originGuildId] || {};
+  const sameGuild = !o.destGuildId || o.destGuildId === config.destGuildId;
+  const pick = field => o[field] || (sameGuild ? config[field] : '');
+  return {
+    guildId: o.destGuildId || config.destGuildId,
+    refHubChannelId: pick('destRefHubChannelId'),
+    refRoleId: pick('refRoleId'),
+    jrRefRoleId: pick('jrRefRoleId'),
+    retagRoleId: pick('retagRoleId'),
+  };
+}
+const destinationForThread = threadId => destinationFor(refMeta.get(threadId)?.originGuildId);
+
+// Apply an edit to the saved config; returns validation errors (nothing is saved if any)
+function updateConfig(mutate) {
+  const candidate = structuredClone(fileConfig);
+  mutate(candidate);
+  const effective = applyEnvOverrides(candidate);
+  const errors = validateConfig(effective);
+  if (errors.length) return errors;
+
+  writeJsonAtomic(CONFIG_PATH, candidate);
+  fileConfig = candidate;
+  config = effective;
+  return [];
+}
 
 // ----- Bot mention trigger -----
 const BOT_USER_ID = '1417212106461286410';
 
-// Optional: destination review channel & rules reference (leave empty if not used)
-const DISPUTE_REVIEW_CHANNEL_ID  = ''; // lives in destination (Gymbreakers), optional
-const RULES_CHANNEL_ID           = ''; // optional global fallback for rules mention
-
-// Per-origin config map
-const ORIGINS = {
-  [GYM_GUILD_ID]: {
-    key: 'GYM',
-    disputeChannelId: GYM_DISPUTE_CHANNEL_ID,
-    triggerRoleId: GYM_TRIGGER_ROLE_ID,
-    rulesChannelId: null
-  },
-  [RAID_GUILD_ID]: {
-    key: 'RAID',
-    disputeChannelId: RAID_DISPUTE_CHANNEL_ID,
-    triggerRoleId: RAID_TRIGGER_ROLE_ID,
-    rulesChannelId: null
-  }
-};
-
 // ====== STATE ======
 // When a request is itself a thread: map origin thread -> ref thread (in Gymbreakers)
 const disputeToRefThread = new Map(); // originThreadId -> destRefThreadId
@@ -101,9 +203,96 @@ const refThreadToPlayer = new Map(); // refThreadId -> raiser userId
 // For closing cleanup (delete the original trigger message)
 const refThreadToOrigin = new Map();  // refThreadId -> { originGuildId, channelId, messageId }
 
-// Meta for titles & decisions (persisted in memory until /close)
+// Meta for titles & decisions (kept until /close)
 const refMeta = new Map(); // refThreadId -> {p1Id,p2Id,issue, playerCountry, opponentCountry, originGuildId, ...opts }
 
+// Reaction votes posted by /vote, tallied by /vote_close or at their deadline
+const votes = new Map(); // voteMessageId -> { mode, threadId, channelId, title, keys, quorum, deadline, createdBy, createdAt, closedAt, result, ballots? }
+
+// Closed disputes, searchable with /history and /search
+const disputeArchive = new Map(); // refThreadId -> { ...meta snapshot, raiserId, guildId, closedAt }
+
+// Penalty points / warnings / awarded wins from posted decisions (kept after /close)
+const sanctionLedger = new Map(); // entryId -> { threadId, outcome, kind, points, clause, country, playerId, ... }
+
+// Evidence locker: DM attachments saved to disk with a hash, plus video links found in DMs
+const evidenceLocker = new Map(); // entryId -> { threadId, number, kind: 'file'|'link', uploaderId, at, fileName?, path?, sha256?, size?, url }
+
+// Player language chosen with /language (otherwise taken from their country role)
+const playerLanguage = new Map(); // userId -> language code
+
+// "Raise a dispute" button posted in each origin's dispute channel
+const intakePanels = new Map(); // originGuildId -> { channelId, messageId }
+
+// Conflicts of interest refs declared with /conflict (played with/against, friends, ...)
+const declaredConflicts = new Map(); // refId -> [{ userId, reason, at }]
+
+// ====== PERSISTENCE ======
+// All state Maps are written to a local store (JSON file or SQLite) so a
+// redeploy/restart does not orphan open disputes. Loaded at ClientReady.
+const STATE_MAPS = {
+  disputeToRefThread,
+  openThreadsByPlayer,
+  dmRouteChoice,
+  refThreadToPlayer,
+  refThreadToOrigin,
+  refMeta,
+  disputeArchive,
+  sanctionLedger,
+  votes,
+  playerLanguage,
+  evidenceLocker,
+  intakePanels,
+  declaredConflicts,
+};
+const SET_VALUED_MAPS = new Set(['openThreadsByPlayer']); // values are Set<string>
+
+let store;
+try {
+  store = await openStore({
+    backend: (process.env.STORE_BACKEND ?? 'json').trim() || 'json',
+    file: (process.env.STORE_PATH ?? '').trim() || undefined
+  });
+} catch (e) {
+  console.error('❌ Cannot open state store:', e?.message || e);
+  process.exit(1);
+}
+
+function snapshotState() {
+  const out = {};
+  for (const [name, map] of Object.entries(STATE_MAPS)) {
+    out[name] = [...map].map(([k, v]) => [k, v instanceof Set ? [...v] : v]);
+  }
+  return out;
+}
+
+function restoreState(data) {
+  for (const [name, map] of Object.entries(STATE_MAPS)) {
+    const entries = Array.isArray(data?.[name]) ? data[name] : [];
+    map.clear();
+    for (const [k, v] of entries) {
+      map.set(k, SET_VALUED_MAPS.has(name) ? new Set(v) : v);
+    }
+  }
+}
+
+function saveState() {
+  try {
+    store.save(snapshotState());
+  } catch (e) {
+    console.error('State save error:', e);
+  }
+}
+
+function loadState() {
+  try {
+    restoreState(store.load());
+    console.log(`💾 State loaded (${store.backend}): ${refMeta.size} open dispute(s).`);
+  } catch (e) {
+    console.error('State load error (starting empty):', e);
+  }
+}
+
 // ====== CLIENT ======
 const client = new Client({
   intents: [
@@ -120,6 +309,7 @@ const client = new Client({
 const slug = s => (s || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
 const mention = id => id ? `<@${id}>` : '@User';
 const bracketCode = (name) => (name?.match(/\[([^\]]+)\]/)?.[1] || '').toLowerCase();
+const threadUrl = (guildId, threadId) => `https://discord.com/channels/${guildId}/${threadId}`;
 
 function messageMentionsRole(message, roleId) {
   return message.mentions.roles.has(roleId) || message.content.includes(`<@&${roleId}>`);
@@ -148,12 +338,12 @@ async function findDecisionChannel(guild, countryA, countryB) {
   return chans.find(c => /^post|^result/.test(c.name)) || chans.first() || null;
 }
 
-async function createRefThreadInDestination(destGuild, sourceMessage) {
-  const refHub = await destGuild.channels.fetch(DEST_REF_HUB_CHANNEL_ID);
+async function createRefThreadInDestination(destGuild, sourceMessage, dest, raiser = sourceMessage.author) {
+  const refHub = await destGuild.channels.fetch(dest.refHubChannelId);
   if (!refHub || refHub.type !== ChannelType.GuildText)
     throw new Error('Ref hub must be a TEXT channel that allows private threads (destination).');
 
-  const playerName = sourceMessage.author.globalName || sourceMessage.author.username;
+  const playerName = raiser.globalName || raiser.username;
   const thread = await refHub.threads.create({
     name: `Dispute - ${playerName}`,
     autoArchiveDuration: ThreadAutoArchiveDuration.OneWeek,
@@ -171,9 +361,9 @@ async function createRefThreadInDestination(destGuild, sourceMessage) {
   return thread;
 }
 
-function buildIntro({ playerName, playerCountry, opponentCountry, originGuildName }) {
-  const refRoleMention = `<@&${REF_ROLE_ID}>`;
-  const jrRoleMention  = JR_REF_ROLE_ID ? ` <@&${JR_REF_ROLE_ID}>` : '';
+function buildIntro({ playerName, playerCountry, opponentCountry, originGuildName, dest, detected = null }) {
+  const refRoleMention = `<@&${dest.refRoleId}>`;
+  const jrRoleMention  = dest.jrRefRoleId ? ` <@&${dest.jrRefRoleId}>` : '';
   const countriesLine = (playerCountry?.name || opponentCountry?.name)
     ? `**Countries:** ${playerCountry?.name || 'Unknown'} vs ${opponentCountry?.name || 'Unknown'}`
     : `**Countries:** (not detected)`;
@@ -184,6 +374,7 @@ function buildIntro({ playerName, playerCountry, opponentCountry, originGuildNam
     `**Dispute Thread for ${playerName}.**`,
     countriesLine,
     sourceLine,
+    ...(detected ? ['', ...detectionLines(detected)] : []),
     '',
     '— **Referee quick start** —',
     '• Use `/set issue` to set the issue (Lag, Communication, Device Issue, No Show, Wrong Pokemon or Moveset).',
@@ -193,6 +384,8 @@ function buildIntro({ playerName, playerCountry, opponentCountry, originGuildNam
   ].join('\n');
 }
 
+const LEAD_TITLE_RE = / · Lead: .*$/;
+
 async function renameThreadByMeta(thread) {
   const meta = refMeta.get(thread.id) || {};
   const names = [];
@@ -208,67 +401,300 @@ async function renameThreadByMeta(thread) {
   if (meta.p1Id) names.push(await nameFor(meta.p1Id, 'Disputer'));
   if (meta.p2Id) names.push(await nameFor(meta.p2Id, 'Opponent'));
 
-  if (meta.issue && names.length === 2) {
-    const title = `${meta.issue} - ${names[0]} vs ${names[1]}`;
-    if (title !== thread.name) {
-      await thread.setName(title).catch(() => {});
-    }
+  let title = thread.name.replace(STATE_TITLE_RE, '').replace(LEAD_TITLE_RE, '');
+  if (meta.issue && names.length === 2) title = `${meta.issue} - ${names[0]} vs ${names[1]}`;
+  if (meta.lead?.userId) title += ` · Lead: ${await nameFor(meta.lead.userId, 'referee')}`;
+  title = `[${stateLabel(stateOf(meta))}] ${title}`.slice(0, 100); // Discord's channel name limit
+
+  if (title !== thread.name) {
+    await thread.setName(title).catch(() => {});
   }
 }
 
-async function dmDisputeRaiser(message, disputeThread) {
-  const user = message.author;
+async function dmDisputeRaiser(user, message, disputeThread, playerCountry) {
   const name = user.globalName || user.username;
+  const lang = languageForUser(user.id, playerCountry?.name);
   const link = disputeThread
     ? `https://discord.com/channels/${message.guild.id}/${disputeThread.id}`
     : message.url;
 
-  const text = [
-    `Hi ${name}, this is the **Gymbreakers Referee Team**.`,
-    `Please send all evidence and messages **in this DM**. We will mirror everything privately for the referees.`,
-    '',
-    '**Questions to answer:**',
-    '• Please describe the issue.',
-    '• Who was involved?',
-    '• Please provide screenshots of your communication.',
-    '• For Gameplay disputes, please provide full video evidence.',
-    '',
-    'Reference link to your dispute:',
-    link
-  ].join('\n');
-
   try {
-    await user.send(text);
+    await user.send(t(lang, 'raiser_dm', { name, link }));
   } catch {
     try {
       await message.reply({
-        content: 'I tried to DM you but could not. Please keep evidence **in this thread** and enable DMs if possible.',
+        content: t(lang, 'raiser_dm_failed'),
         allowedMentions: { parse: [] }
       });
     } catch {}
   }
 }
 
+// ====== OPPONENT NOTICE ======
+// Once /set players names an opponent, DM them the questions with a reply deadline and log delivery.
+// Sent once per opponent (re-running /set players with the same opponent does not DM again).
+const discordTime = ms => `<t:${Math.floor(ms / 1000)}:F> (<t:${Math.floor(ms / 1000)}:R>)`;
+
+async function notifyOpponent(thread, meta) {
+  const opponentId = meta.p2Id;
+  if (!opponentId || meta.opponentNotice?.userId === opponentId) return;
+
+  const hours = config.opponentResponseHours;
+  const now = Date.now();
+  const notice = {
+    userId: opponentId,
+    sentAt: now,
+    deadline: hours ? now + hours * 60 * 60 * 1000 : null,
+    delivered: false,
+    respondedAt: null,
+    overdueLogged: false
+  };
+
+  const lang = languageForUser(opponentId, meta.opponentCountry?.name);
+  const origin = refThreadToOrigin.get(thread.id);
+  const link = origin
+    ? `https://discord.com/channels/${origin.originGuildId}/${origin.channelId}/${origin.messageId}`
+    : '—';
+  const text = [
+    t(lang, 'opponent_dm', {
+      raiser: mention(meta.p1Id),
+      issue: meta.issue || t(lang, 'issue_unset'),
+      link
+    }),
+    notice.deadline ? t(lang, 'opponent_dm_deadline', { deadline: discordTime(notice.deadline) }) : null
+  ].filter(Boolean).join('\n\n');
+
+  try {
+    const user = await client.users.fetch(opponentId);
+    await user.send(text);
+    notice.delivered = true;
+  } catch {}
+
+  meta.opponentNotice = notice;
+  refMeta.set(thread.id, meta);
+  saveState();
+
+  const due = notice.deadline ? ` Reply due ${discordTime(notice.deadline)}.` : '';
+  await thread.send({
+    content: notice.delivered
+      ? `📨 Opponent <@${opponentId}> was DMed the questions.${due}`
+      : `❌ Could not DM the opponent <@${opponentId}> (DMs closed or blocked). Use \`/message\` to retry or contact them another way.`,
+    allowedMentions: { parse: [] }
+  }).catch(() => {});
+}
+
+// Flag opponents who let the reply deadline pass without answering (checked every minute)
+async function checkOpponentDeadlines() {
+  const now = Date.now();
+  for (const [threadId, meta] of refMeta) {
+    const n = meta.opponentNotice;
+    if (!n?.delivered || !n.deadline || n.respondedAt || n.overdueLogged || n.deadline > now) continue;
+    n.overdueLogged = true;
+    saveState();
+    const thread = await client.channels.fetch(threadId).catch(() => null);
+    await thread?.send({
+      content: `⏰ The opponent <@${n.userId}> has not replied and the response deadline has passed.`,
+      allowedMentions: { parse: [] }
+    }).catch(() => {});
+  }
+}
+
+// ====== EVIDENCE LOCKER ======
+// Every DM attachment is downloaded into EVIDENCE_DIR/<threadId>/ with its SHA-256, so evidence
+// outlives expiring CDN links and a re-served file can be checked against the recorded hash.
+const EVIDENCE_DIR = (process.env.EVIDENCE_DIR ?? '').trim() || './data/evidence';
+const EVIDENCE_MAX_BYTES = 100 * 1024 * 1024; // larger files are only recorded by URL
+const FORWARD_MAX_BYTES = 25 * 1024 * 1024;   // Discord upload limit for the mirror post
+const VIDEO_LINK_RE = /https?:\/\/(?:www\.|m\.)?(?:youtube\.com\/(?:watch|shorts|live)\S*|youtu\.be\/\S+|drive\.google\.com\/\S+|streamable\.com\/\S+)/gi;
+
+const sha256 = buf => createHash('sha256').update(buf).digest('hex');
+const safeFileName = name => String(name || 'file').replace(/[^\w.-]+/g, '_').slice(-100);
+
+function nextEvidenceNumber(threadId) {
+  let n = 0;
+  for (const e of evidenceLocker.values()) if (e.threadId === threadId) n = Math.max(n, e.number);
+  return n + 1;
+}
+
+function addEvidence(threadId, entry) {
+  const number = nextEvidenceNumber(threadId);
+  const e = { threadId, number, at: Date.now(), ...entry };
+  evidenceLocker.set(`${threadId}-${number}`, e);
+  return e;
+}
+
+// Download one attachment into the locker; returns the entry (file, or url-only if too large)
+async function storeAttachment(threadId, uploaderId, attachment) {
+  const fileName = safeFileName(attachment.name);
+  if (attachment.size > EVIDENCE_MAX_BYTES) {
+    return addEvidence(threadId, { kind: 'link', uploaderId, fileName, url: attachment.url, note: 'too large to store' });
+  }
+
+  const res = await fetch(attachment.url);
+  if (!res.ok) throw new Error(`download failed (${res.status})`);
+  const buf = Buffer.from(await res.arrayBuffer());
+  const hash = sha256(buf);
+
+  const dir = path.join(EVIDENCE_DIR, threadId);
+  fs.mkdirSync(dir, { recursive: true });
+  const filePath = path.join(dir, `${hash.slice(0, 12)}-${fileName}`);
+  fs.writeFileSync(filePath, buf);
+
+  return addEvidence(threadId, {
+    kind: 'file',
+    uploaderId,
+    fileName,
+    path: filePath,
+    sha256: hash,
+    size: buf.length,
+    contentType: attachment.contentType || null,
+    url: attachment.url
+  });
+}
+
+function recordVideoLinks(threadId, uploaderId, text) {
+  const urls = [...new Set(String(text || '').match(VIDEO_LINK_RE) || [])];
+  return urls.map(url => addEvidence(threadId, { kind: 'link', uploaderId, url }));
+}
+
+function evidenceLine(e) {
+  const when = `<t:${Math.floor(e.at / 1000)}:f>`;
+  if (e.kind === 'file') {
+    return `#${e.number} 📎 \`${e.fileName}\` (${Math.ceil(e.size / 1024)} KB) by <@${e.uploaderId}> ${when} · sha256 \`${e.sha256.slice(0, 16)}…\``;
+  }
+  return `#${e.number} 🎬 <${e.url}> by <@${e.uploaderId}> ${when}${e.note ? ` (${e.note})` : ''}`;
+}
+
+// ====== REFEREE PERMISSIONS ======
+// Commands are gated by referee role instead of Discord permissions:
+//   jr   -> junior referee role (JR_REF_ROLE_ID) or better
+//   ref  -> referee role (REF_ROLE_ID) or better
+//   head -> head referee role (HEAD_REF_ROLE_ID); administrators of a destination server count as head refs
+const ACCESS_LEVELS = ['none', 'jr', 'ref', 'head'];
+const ACCESS_NAMES = { jr: 'junior referee', ref: 'referee', head: 'head referee' };
+
+// Minimum level per command; commands not listed here are not gated here
+// (/language; /config needs Administrator; /template and /appeal check head refs themselves)
+const COMMAND_ACCESS = {
+  set_players: 'jr', set_issue: 'jr', set: 'jr', message: 'jr',
+  vote: 'jr', vote_close: 'jr', evidence: 'jr', transcript: 'jr',
+  remove_conflicts: 'jr', resync: 'jr', claim: 'jr', handoff: 'jr', recuse: 'jr', conflict: 'jr', status: 'jr',
+  standings: 'jr', sanctions: 'jr', history: 'jr', search: 'jr',
+  decision: 'jr', decision_edit: 'ref', decision_retract: 'ref', // junior refs' decisions are drafts
+  close: 'ref', merge: 'ref', country_post: 'ref', retag_refs: 'ref', appeal_outcome: 'ref',
+};
+
+// Referee roles of every destination that lives in this guild (global + per-origin destinations)
+function destinationsInGuild(guildId) {
+  return [destinationFor(null), ...Object.keys(config.origins).map(destinationFor)]
+    .filter(d => d.guildId === guildId);
+}
+
+// Dispute threads use their own destination's roles; anywhere else, every destination in the guild
+function destinationsForInteraction(interaction) {
+  return refMeta.has(interaction.channelId)
+    ? [destinationForThread(interaction.channelId)]
+    : destinationsInGuild(interaction.guildId);
+}
+
+function accessLevel(interaction, dests = destinationsForInteraction(interaction)) {
+  const roles = interaction.member?.roles?.cache;
+  if (!roles) return 'none';
+  const has = id => Boolean(id) && roles.has(id);
+  // Server admins count as head refs only in a destination server, not in origins or other guilds
+  const destAdmin = interaction.memberPermissions?.has(PermissionFlagsBits.Administrator) &&
+    destinationsInGuild(interaction.guildId).length > 0;
+  if (destAdmin || has(config.headRefRoleId)) return 'head';
+  if (dests.some(d => has(d.refRoleId))) return 'ref';
+  if (dests.some(d => has(d.jrRefRoleId))) return 'jr';
+  return 'none';
+}
+
+const hasAccess = (interaction, need, dests) =>
+  ACCESS_LEVELS.indexOf(accessLevel(interaction, dests)) >= ACCESS_LEVELS.indexOf(need);
+
+// Replies and returns true when the user may not run this command
+async function refuseCommand(interaction, dests) {
+  const need = COMMAND_ACCESS[interaction.commandName];
+  if (!need || hasAccess(interaction, need, dests)) return false;
+  await interaction.reply({
+    flags: MessageFlags.Ephemeral,
+    content: `🔒 \`/${interaction.commandName}\` needs the ${ACCESS_NAMES[need]} role or higher.`
+  }).catch(() => {});
+  return true;
+}
+
 // ====== Referee membership flow (destination guild) ======
+// A ref is kept out of a dispute (not added, removed if present, cannot vote) when:
+//   • they hold a dispute country's role (exact role name or bracket code like [GB])
+//   • they declared a conflict with either player (/conflict declare)
+//   • they recused themselves from this thread (/recuse)
+//   • the thread is an appeal and they took part in the original ruling
+
+// Declared conflict of this ref with either player of the dispute, or null
+function declaredConflictFor(refId, meta) {
+  const players = [meta.p1Id, meta.p2Id].filter(Boolean);
+  return (declaredConflicts.get(refId) || []).find(c => players.includes(c.userId)) || null;
+}
+
+// The country role that puts a member in conflict, or null
+function countryConflictRole(member, countryNames, countryCodes = countryNames.map(bracketCode).filter(Boolean)) {
+  return member.roles.cache.find(r => {
+    if (countryNames.includes(r.name)) return true;
+    const code = bracketCode(r.name);
+    return code && countryCodes.includes(code);
+  }) || null;
+}
+
+// Why a member may not referee this dispute (text for the thread log), or null
+function refConflictReason(member, meta) {
+  if (meta.appeal?.excluded?.includes(member.id)) return 'took part in the original ruling';
+
+  const recusal = meta.recused?.[member.id];
+  if (recusal) return `recused${recusal.reason ? `: ${recusal.reason}` : ''}`;
+
+  const declared = declaredConflictFor(member.id, meta);
+  if (declared) return `declared conflict with <@${declared.userId}>${declared.reason ? `: ${declared.reason}` : ''}`;
+
+  const countryNames = [meta.playerCountry?.name, meta.opponentCountry?.name].filter(Boolean);
+  const role = countryConflictRole(member, countryNames);
+  return role ? `country role ${role.name}` : null;
+}
+
+const conflictLogLine = ({ name, reason }) => `• ${name} — ${reason}`;
+
 async function addAllRefsToThread(thread, destGuild) {
   const meta = refMeta.get(thread.id) || {};
   const excluded = new Set([meta.p1Id, meta.p2Id].filter(Boolean));
+  const { refRoleId, jrRefRoleId } = destinationForThread(thread.id);
 
   const all = await destGuild.members.fetch();
   const refs = all.filter(m =>
-    (m.roles.cache.has(REF_ROLE_ID) || (JR_REF_ROLE_ID && m.roles.cache.has(JR_REF_ROLE_ID))) &&
+    (m.roles.cache.has(refRoleId) || (jrRefRoleId && m.roles.cache.has(jrRefRoleId))) &&
     !excluded.has(m.id)
   );
 
   let added = 0;
+  const skipped = [];
   for (const member of refs.values()) {
+    const reason = refConflictReason(member, meta);
+    if (reason) {
+      skipped.push({ name: member.user?.username || member.id, reason });
+      continue;
+    }
     await thread.members.add(member.id).catch(() => {});
     added++;
   }
-  await thread.send(`👥 Added ${added} referees to this dispute thread.`);
+  await thread.send({
+    content: [
+      `👥 Added ${added} referees to this dispute thread.`,
+      ...(skipped.length ? ['🚫 Not added (conflicted):', ...skipped.map(conflictLogLine)] : [])
+    ].join('\n'),
+    allowedMentions: { parse: [] }
+  });
 }
 
-// Add ONLY members who have a specific role to the thread (exclude disputer/opponent)
+// Add ONLY members who have a specific role to the thread (exclude disputer/opponent and conflicted refs)
 async function addRoleMembersToThread(thread, destGuild, roleId) {
   const meta = refMeta.get(thread.id) || {};
   const excluded = new Set([meta.p1Id, meta.p2Id].filter(Boolean));
@@ -277,49 +703,62 @@ async function addRoleMembersToThread(thread, destGuild, roleId) {
   const targets = all.filter(m => m.roles.cache.has(roleId) && !excluded.has(m.id));
 
   let added = 0;
+  const skipped = [];
   await thread.members.fetch().catch(() => {});
   for (const member of targets.values()) {
-    if (!thread.members.cache.has(member.id)) {
-      await thread.members.add(member.id).catch(() => {});
-      added++;
+    if (thread.members.cache.has(member.id)) continue;
+    const reason = refConflictReason(member, meta);
+    if (reason) {
+      skipped.push({ name: member.user?.username || member.id, reason });
+      continue;
     }
+    await thread.members.add(member.id).catch(() => {});
+    added++;
   }
-  if (added > 0) {
-    await thread.send(`👥 Added ${added} member(s) with role <@&${roleId}> to this dispute thread.`);
-  } else {
-    await thread.send(`ℹ️ No additional members with role <@&${roleId}> were added.`);
-  }
+  const lines = [added > 0
+    ? `👥 Added ${added} member(s) with role <@&${roleId}> to this dispute thread.`
+    : `ℹ️ No additional members with role <@&${roleId}> were added.`];
+  if (skipped.length) lines.push('🚫 Not added (conflicted):', ...skipped.map(conflictLogLine));
+  await thread.send({ content: lines.join('\n'), allowedMentions: { parse: [] } });
 }
 
-// Remove conflicted refs already in the thread (match by exact role name or bracket code like [GB])
-async function removeConflictedFromThread(thread, destGuild, countries /* array of names */) {
-  const countryNames = (countries || []).filter(Boolean);
-  const countryCodes = countryNames.map(bracketCode).filter(Boolean);
+// Remove conflicted refs already in the thread (country role, declared conflict or recusal)
+async function removeConflictedFromThread(thread, destGuild, { quiet = false } = {}) {
+  const meta = refMeta.get(thread.id) || {};
+  const players = new Set([meta.p1Id, meta.p2Id].filter(Boolean));
 
   await thread.members.fetch().catch(() => {});
 
   const kicked = [];
   for (const tm of thread.members.cache.values()) {
+    if (tm.id === client.user.id || players.has(tm.id)) continue;
     const gm = await destGuild.members.fetch(tm.id).catch(() => null);
     if (!gm) continue;
 
-    const hasConflict = gm.roles.cache.some(r => {
-      if (countryNames.includes(r.name)) return true;
-      const code = bracketCode(r.name);
-      return code && countryCodes.includes(code);
-    });
-
-    if (hasConflict) {
+    const reason = refConflictReason(gm, meta);
+    if (reason) {
       await thread.members.remove(gm.id).catch(() => {});
-      kicked.push(gm.user?.username || gm.id);
+      kicked.push({ id: gm.id, name: gm.user?.username || gm.id, reason });
     }
   }
 
   if (kicked.length) {
-    await thread.send(`🚫 Auto removed conflicted referees: ${kicked.join(', ')}.`);
-  } else {
+    console.log(`Removed conflicted refs from ${thread.id}: ${kicked.map(k => `${k.name} (${k.reason})`).join(', ')}`);
+    await thread.send({
+      content: ['🚫 Auto removed conflicted referees:', ...kicked.map(conflictLogLine)].join('\n'),
+      allowedMentions: { parse: [] }
+    });
+  } else if (!quiet) {
     await thread.send(`✅ No conflicted referees found.`);
   }
+
+  // A conflicted lead cannot keep the dispute
+  if (meta.lead?.userId && kicked.some(k => k.id === meta.lead.userId)) {
+    await thread.send({ content: `🎯 <@${meta.lead.userId}> is no longer the lead referee.`, allowedMentions: { parse: [] } }).catch(() => {});
+    await setLead(thread, meta, null);
+    await autoAssignLead(thread, meta);
+  }
+  return kicked;
 }
 
 // Ensure Disputer/Opponent are not in the private ref thread
@@ -336,6 +775,159 @@ async function purgePlayersFromThread(thread, destGuild) {
   }
 }
 
+// ====== LEAD REFEREE (/claim, /handoff, auto-assign) ======
+// One ref owns each dispute: meta.lead = { userId, since, via: 'claim' | 'auto' | 'handoff' }.
+// The lead's name is shown in the thread title and in the meta preview.
+
+const isRefMember = (member, { refRoleId, jrRefRoleId }) =>
+  Boolean(member) && (member.roles.cache.has(refRoleId) || (jrRefRoleId && member.roles.cache.has(jrRefRoleId)));
+
+// Open disputes each ref currently leads
+function openLeadCounts() {
+  const counts = new Map();
+  for (const meta of refMeta.values()) {
+    const id = meta.lead?.userId;
+    if (id) counts.set(id, (counts.get(id) || 0) + 1);
+  }
+  return counts;
+}
+
+// When each ref last became a lead (open and archived disputes)
+function lastLeadTimes() {
+  const last = new Map();
+  for (const meta of [...refMeta.values(), ...disputeArchive.values()]) {
+    const { userId, since } = meta.lead || {};
+    if (userId && since > (last.get(userId) || 0)) last.set(userId, since);
+  }
+  return last;
+}
+
+// Full referee with the lightest open load; ties go to whoever led least recently (round-robin)
+async function pickAutoLead(thread, meta, exclude = []) {
+  const { refRoleId } = destinationForThread(thread.id);
+  const all = await thread.guild.members.fetch().catch(() => null);
+  if (!all) return null;
+
+  const skip = new Set([meta.p1Id, meta.p2Id, ...exclude].filter(Boolean));
+  const load = openLeadCounts();
+  const last = lastLeadTimes();
+  const candidates = [...all.filter(m =>
+    !m.user.bot && m.roles.cache.has(refRoleId) && !skip.has(m.id) && !refConflictReason(m, meta)
+  ).values()];
+
+  candidates.sort((a, b) =>
+    (load.get(a.id) || 0) - (load.get(b.id) || 0) ||
+    (last.get(a.id) || 0) - (last.get(b.id) || 0) ||
+    a.id.localeCompare(b.id)
+  );
+  return candidates[0] || null;
+}
+
+// Set (or clear, with null) the lead; adds them to the thread and retitles it
+async function setLead(thread, meta, userId, via) {
+  if (userId) meta.lead = { userId, since: Date.now(), via };
+  else delete meta.lead;
+  refMeta.set(thread.id, meta);
+  saveState();
+  if (userId && stateOf(meta) === 'open') await setDisputeState(thread, meta, 'under_review', { rename: false });
+
+  if (userId) await thread.members.add(userId).catch(() => {});
+  await renameThreadByMeta(thread);
+}
+
+// Auto-assign mode only; posts who was picked (or that nobody was available)
+async function autoAssignLead(thread, meta, exclude = []) {
+  if (!config.autoAssignLead || meta.lead?.userId) return null;
+  const pick = await pickAutoLead(thread, meta, exclude);
+  if (!pick) {
+    await thread.send('ℹ️ No eligible referee to auto-assign as lead. Use `/claim`.').catch(() => {});
+    return null;
+  }
+  await setLead(thread, meta, pick.id, 'auto');
+  const open = openLeadCounts().get(pick.id) || 0;
+  await thread.send({
+    content: `🎯 <@${pick.id}> is the lead referee for this dispute (auto-assigned, ${open} open lead${open === 1 ? '' : 's'}). Use \`/handoff\` to pass it on.`,
+    allowedMentions: { users: [pick.id] }
+  }).catch(() => {});
+  return pick.id;
+}
+
+// ====== DISPUTE LIFECYCLE (state machine) ======
+// Open → Awaiting Evidence → Under Review → Voting → Decided → Closed / Withdrawn / Appealed.
+// Commands move a dispute along (/message, /claim, /vote, /decision, /close, /appeal) and refs can
+// set it with /status. meta.state is shown as the thread title prefix and in the meta preview.
+const STATE_TITLE_RE = /^\[[^\]]*\] /;
+
+// Move a dispute to another state. Returns false, changing nothing, when the move is not allowed.
+// thread may be null for a closed dispute (its record lives in disputeArchive).
+async function setDisputeState(thread, meta, to, { by = null, note = '', rename = true } = {}) {
+  const from = stateOf(meta);
+  if (from === to) return true;
+  if (!moveDisputeState(meta, to, { by, note })) return false;
+  saveState();
+
+  if (thread) {
+    if (rename) await renameThreadByMeta(thread);
+    await thread.send({ content: statusLine(from, to, by, note), allowedMentions: { parse: [] } }).catch(() => {});
+  }
+  await updateOriginStatus(meta, thread?.id);
+  return true;
+}
+
+// ====== ORIGIN STATUS (reply under the trigger message) ======
+// Players only see the origin channel, so the bot keeps one reply under the trigger message and
+// edits it as the dispute moves on. meta.statusReply = { channelId, triggerId, messageId }; it lives
+// in meta (not the origin map) so an appeal of an archived dispute can still update it.
+// Link to the ruling that applies: the latest live decision, or what replaced it on appeal
+function currentDecisionUrl(meta) {
+  const d = [...(meta.decisions || [])].reverse().find(x => !x.retractedAt);
+  if (d?.appeal?.status === 'overturned') return null;
+  return (d?.appeal?.status === 'modified' && d.appeal.replacementUrl) || d?.url || null;
+}
+
+function originStatusText(meta) {
+  const lang = languageForUser(meta.p1Id, meta.playerCountry?.name);
+  const link = currentDecisionUrl(meta);
+  const state = stateOf(meta);
+  const key = meta.mergedInto ? 'merged'
+    : ['decided', 'appealed', 'closed', 'withdrawn', 'awaiting_evidence'].includes(state) ? state
+    : state === 'open' && !meta.refsAssignedAt ? 'received'
+    : 'refs_assigned';
+  if (key === 'decided' && !link) return t(lang, 'origin_status_refs_assigned');
+  return [
+    t(lang, `origin_status_${key}`, { link }),
+    link && ['appealed', 'closed'].includes(key) ? t(lang, 'origin_status_decision_link', { link }) : null
+  ].filter(Boolean).join('\n');
+}
+
+// Post the status reply the first time (threadId finds the trigger), edit it afterwards
+async function updateOriginStatus(meta, threadId = null) {
+  const origin = threadId ? refThreadToOrigin.get(threadId) : null;
+  if (!meta.statusReply && origin) {
+    meta.statusReply = { channelId: origin.channelId, triggerId: origin.messageId, messageId: null };
+  }
+  const s = meta.statusReply;
+  if (!s) return;
+
+  const content = originStatusText(meta);
+  const chan = await client.channels.fetch(s.channelId).catch(() => null);
+  if (!chan || !('messages' in chan)) return;
+  const reply = s.messageId ? await chan.messages.fetch(s.messageId).catch(() => null) : null;
+  if (reply) {
+    await reply.edit({ content, allowedMentions: { parse: [] } }).catch(() => {});
+    return;
+  }
+  // Never posted, or a moderator deleted it: reply again while the trigger is still there
+  const trigger = await chan.messages.fetch(s.triggerId).catch(() => null);
+  const posted = trigger
+    ? await trigger.reply({ content, allowedMentions: { parse: [], repliedUser: false } }).catch(() => null)
+    : null;
+  if (posted) {
+    s.messageId = posted.id;
+    saveState();
+  }
+}
+
 // ====== Open-thread bookkeeping for multi-dispute DM routing ======
 function addOpenThreadFor(userId, refThreadId) {
   if (!userId || !refThreadId) return;
@@ -362,12 +954,13 @@ function buildDmRouteSelect(userId) {
   const set = openThreadsByPlayer.get(userId);
   if (!set || set.size === 0) return null;
 
+  const lang = languageForUser(userId);
   const options = [];
   for (const refThreadId of set) {
     const meta = refMeta.get(refThreadId) || {};
     const issue = meta.issue || 'Dispute';
-    const labelP1 = meta.p1Id ? `Disputer` : 'Disputer?';
-    const labelP2 = meta.p2Id ? `Opponent` : 'Opponent?';
+    const labelP1 = t(lang, 'route_disputer') + (meta.p1Id ? '' : '?');
+    const labelP2 = t(lang, 'route_opponent') + (meta.p2Id ? '' : '?');
     const value = refThreadId;
 
     options.push({
@@ -378,21 +971,22 @@ function buildDmRouteSelect(userId) {
 
   const menu = new StringSelectMenuBuilder()
     .setCustomId('dm-route-select')
-    .setPlaceholder('Select which dispute this DM relates to')
+    .setPlaceholder(t(lang, 'route_placeholder'))
     .addOptions(options.slice(0, 25)); // Discord max 25
 
   return new ActionRowBuilder().addComponents(menu);
 }
 
 async function promptDmRouteSelect(user) {
+  const lang = languageForUser(user.id);
   try {
     const row = buildDmRouteSelect(user.id);
     if (!row) {
-      await user.send('I do not see any active disputes for you. To raise one, tag @Referee in the appropriate Dispute Request channel.');
+      await user.send(t(lang, 'route_none'));
       return false;
     }
     await user.send({
-      content: 'You have multiple active disputes. Which one is this message about?',
+      content: t(lang, 'route_prompt'),
       components: [row]
     });
     return true;
@@ -401,6 +995,25 @@ async function promptDmRouteSelect(user) {
   }
 }
 
+// ====== PLAYER LANGUAGE ======
+// /language preference -> the given country role -> the player's country in any open dispute -> English
+function languageForUser(userId, countryName = null) {
+  const chosen = playerLanguage.get(userId);
+  if (chosen && hasLanguage(chosen)) return chosen;
+
+  let lang = languageForCountry(countryName);
+  if (!lang && userId) {
+    for (const meta of refMeta.values()) {
+      const country = meta.p1Id === userId ? meta.playerCountry
+                    : meta.p2Id === userId ? meta.opponentCountry
+                    : null;
+      lang = languageForCountry(country?.name);
+      if (lang) break;
+    }
+  }
+  return lang && hasLanguage(lang) ? lang : DEFAULT_LANGUAGE;
+}
+
 function getRoutableThreadIdForUser(userId) {
   const set = openThreadsByPlayer.get(userId);
   if (!set || set.size === 0) return null;
@@ -412,6 +1025,8 @@ function getRoutableThreadIdForUser(userId) {
 
 function metaPreview(meta) {
   return [
+    `• Status: ${stateLabel(stateOf(meta))}`,
+    `• Lead: ${meta.lead?.userId ? `<@${meta.lead.userId}>` : '— (use /claim)'}`,
     `• Disputer: ${meta.p1Id ? `<@${meta.p1Id}>` : '—'} (${meta.playerCountry?.name ?? '—'})`,
     `• Opponent: ${meta.p2Id ? `<@${meta.p2Id}>` : '—'} (${meta.opponentCountry?.name ?? '—'})`,
     `• Issue: ${meta.issue ?? '—'}`,
@@ -422,6 +1037,410 @@ function metaPreview(meta) {
   ].join('\n');
 }
 
+
+// Record players / issue on a thread: DM routing, title, public Set: line (and the opponent notice)
+async function assignPlayers(thread, meta, p1Id, p2Id) {
+  meta.p1Id = p1Id; meta.p2Id = p2Id;
+  refMeta.set(thread.id, meta);
+  addOpenThreadFor(p1Id, thread.id);
+  addOpenThreadFor(p2Id, thread.id);
+  saveState();
+  await renameThreadByMeta(thread);
+  await purgePlayersFromThread(thread, thread.guild);
+  await thread.send(setPlayersLine(p1Id, p2Id)).catch(() => {});
+  // New players can bring declared conflicts with them
+  await removeConflictedFromThread(thread, thread.guild, { quiet: true }).catch(() => {});
+  await notifyOpponent(thread, meta);
+  await linkRelatedDisputes(thread, meta);
+}
+
+async function assignIssue(thread, meta, issue) {
+  meta.issue = issue;
+  refMeta.set(thread.id, meta);
+  saveState();
+  await renameThreadByMeta(thread);
+  await thread.send(setIssueLine(issue)).catch(() => {});
+}
+
+// ====== STATE REBUILD (recover open disputes from the ref hub itself) ======
+// The bot posts are parsed in threadlog.js; this fetches threads and refills the maps.
+
+// Oldest-first history of a thread (capped, ref threads are small)
+async function fetchThreadHistory(thread, maxPages = 10) {
+  const out = [];
+  let before;
+  for (let i = 0; i < maxPages; i++) {
+    const page = await thread.messages.fetch({ limit: 100, before }).catch(() => null);
+    if (!page || page.size === 0) break;
+    out.push(...page.values());
+    before = page.last().id;
+    if (page.size < 100) break;
+  }
+  return out.reverse();
+}
+
+// Parse bot posts in a ref thread and refill refMeta / refThreadToOrigin / openThreadsByPlayer.
+// Returns the rebuilt meta, or null when the thread was not created by the trigger handler or /appeal.
+async function rebuildThreadState(thread) {
+  const botId = thread.client.user.id;
+  const history = await fetchThreadHistory(thread);
+
+  const { origin, appeal, found } = parseThreadLog(history, botId);
+  if (!origin && appeal) return rebuildAppealState(thread, found, appeal);
+  if (!origin) return null;
+
+  // The raiser is the author of the origin trigger message (if it still exists). Intake-form
+  // origins are posted by the bot and name the raiser instead; failing both, the `Set:` disputer
+  const srcChan = await thread.client.channels.fetch(origin.channelId).catch(() => null);
+  const srcMsg = srcChan && 'messages' in srcChan
+    ? await srcChan.messages.fetch(origin.messageId).catch(() => null)
+    : null;
+  const raiserId = raiserFromOrigin(srcMsg) || found.p1Id || null;
+
+  const meta = {
+    p1Id: null,
+    p2Id: null,
+    issue: null,
+    playerCountry: { id: null, name: null },
+    opponentCountry: { id: null, name: null },
+    openedAt: thread.createdTimestamp || null,
+    ...refMeta.get(thread.id),
+    ...found,
+    originGuildId: origin.originGuildId
+  };
+  if (!meta.p1Id) meta.p1Id = raiserId;
+
+  refMeta.set(thread.id, meta);
+  refThreadToOrigin.set(thread.id, origin);
+  if (raiserId || meta.p1Id) refThreadToPlayer.set(thread.id, raiserId || meta.p1Id);
+  if (srcChan?.isThread?.()) disputeToRefThread.set(srcChan.id, thread.id);
+  addOpenThreadFor(meta.p1Id, thread.id);
+  addOpenThreadFor(meta.p2Id, thread.id);
+  return meta;
+}
+
+// Appeal threads: link back to the original record and restore the fresh-panel exclusions
+async function rebuildAppealState(thread, found, appeal) {
+  const orig = disputeRecord(appeal.of);
+  const decision = orig?.decisions?.[appeal.decisionNumber - 1] || null;
+  const meta = {
+    ...Object.fromEntries(APPEAL_CARRIED_FIELDS.filter(f => orig?.[f] !== undefined).map(f => [f, structuredClone(orig[f])])),
+    openedAt: thread.createdTimestamp || null,
+    ...refMeta.get(thread.id),
+    ...found,
+    appeal: {
+      ...appeal,
+      decisionId: decision ? decision.id || `${appeal.of}-${decision.at}` : null,
+      excluded: await originalParticipants(appeal.of, orig || {})
+    }
+  };
+
+  refMeta.set(thread.id, meta);
+  refThreadToPlayer.set(thread.id, orig?.raiserId || meta.p1Id);
+  addOpenThreadFor(meta.p1Id, thread.id);
+  addOpenThreadFor(meta.p2Id, thread.id);
+  if (orig && !(orig.appeals || []).some(a => a.threadId === thread.id)) {
+    orig.appeals = [...(orig.appeals || []), { threadId: thread.id, decisionId: meta.appeal.decisionId, by: appeal.by, at: appeal.at, status: appeal.status }];
+  }
+  return meta;
+}
+
+// Scan open (unlocked) private threads under every ref hub and rebuild any we do not know about
+async function rebuildFromRefHub() {
+  const hubs = new Map(); // hubId -> guildId
+  for (const originGuildId of [null, ...Object.keys(config.origins)]) {
+    const dest = destinationFor(originGuildId);
+    hubs.set(dest.refHubChannelId, dest.guildId);
+  }
+
+  let rebuilt = 0;
+  for (const [hubId, guildId] of hubs) {
+    rebuilt += await rebuildFromHub(guildId, hubId);
+  }
+  return rebuilt;
+}
+
+async function rebuildFromHub(guildId, hubId) {
+  const destGuild = await client.guilds.fetch(guildId).catch(() => null);
+  const refHub = destGuild ? await destGuild.channels.fetch(hubId).catch(() => null) : null;
+  if (!refHub || refHub.type !== ChannelType.GuildText) {
+    console.error(`❌ Cannot fetch ref hub ${hubId} for state rebuild.`);
+    return 0;
+  }
+
+  const threads = new Map();
+  const active = await refHub.threads.fetchActive().catch(() => null);
+  for (const t of active?.threads.values() ?? []) {
+    if (t.parentId === refHub.id) threads.set(t.id, t);
+  }
+  // Auto-archived (one week idle) threads are still open unless /close locked them
+  const archived = await refHub.threads.fetchArchived({ type: 'private', fetchAll: true }).catch(() => null);
+  for (const t of archived?.threads.values() ?? []) {
+    if (!t.locked) threads.set(t.id, t);
+  }
+
+  let rebuilt = 0;
+  for (const t of threads.values()) {
+    if (refMeta.has(t.id)) continue;
+    try {
+      if (await rebuildThreadState(t)) rebuilt++;
+    } catch (e) {
+      console.error(`State rebuild failed for thread ${t.id}:`, e);
+    }
+  }
+  return rebuilt;
+}
+
+// ====== TRIGGER DETECTION (opponent + issue suggestions) ======
+// Suggestions only: refs accept them with one click (or override) from the intro post.
+const ISSUE_KEYWORDS = {
+  'Lag': [/\blag/i, /\bfr[oe]e?z/i, /\bdesync/i, /\bdisconnect/i, /\bdc'?d?\b/i, /\bstuck\b/i],
+  'Communication': [/\bcommunicat/i, /\brespon(?:d|se)/i, /\brepl(?:y|ied)/i, /\bschedul/i, /\bghost/i, /\bno answer/i, /\bignor/i],
+  'Device Issue': [/\bdevice/i, /\bphone/i, /\bcrash/i, /\bbattery/i, /\bapp (?:closed|died)/i, /\brestart/i],
+  'No Show': [/\bno[ -]?show/i, /\bdid(?:n'?t| not) (?:show|turn up|appear)/i, /\bnever (?:showed|came)/i, /\bnot online/i, /\bnever online/i],
+  'Wrong Pokemon or Moveset': [/\bwrong (?:pok[eé]mon|mon|moves?)/i, /\bmoveset/i, /\bunregistered/i, /\bnot registered/i, /\billegal/i, /\bchanged (?:a |the |his |her |their )?move/i],
+};
+
+// First non-bot user mentioned (other than the author) -> opponent
+function detectOpponent(message) {
+  const users = [...message.mentions.users.values()].filter(u => !u.bot && u.id !== message.author.id);
+  if (!users.length) return null;
+  return {
+    id: users[0].id,
+    confidence: users.length === 1 ? 'high' : 'low',
+    why: users.length === 1 ? 'only player mentioned' : `first of ${users.length} players mentioned`
+  };
+}
+
+// Keyword vote over ISSUE_CHOICES; ties keep ISSUE_CHOICES order
+function classifyIssue(text) {
+  const scored = ISSUE_CHOICES.map(c => {
+    const hits = (ISSUE_KEYWORDS[c.value] || []).map(re => text.match(re)?.[0]).filter(Boolean);
+    return { issue: c.value, hits };
+  }).filter(x => x.hits.length).sort((a, b) => b.hits.length - a.hits.length);
+  if (!scored.length) return null;
+
+  const [best, next] = scored;
+  const tie = next && next.hits.length === best.hits.length;
+  return {
+    issue: best.issue,
+    confidence: tie ? 'low' : best.hits.length >= 2 ? 'high' : 'medium',
+    why: `matched ${best.hits.map(h => `"${h.toLowerCase()}"`).join(', ')}${tie ? `; also looks like ${next.issue}` : ''}`
+  };
+}
+
+function detectFromTrigger(message) {
+  const opponent = detectOpponent(message);
+  const issue = classifyIssue(message.content || '');
+  return opponent || issue ? { opponent, issue } : null;
+}
+
+function detectionLines(d) {
+  return [
+    '🔎 **Detected from the trigger message** (please check):',
+    `• Opponent: ${d.opponent ? `<@${d.opponent.id}> — ${d.opponent.confidence} confidence (${d.opponent.why})` : 'not found'}`,
+    `• Issue: ${d.issue ? `**${d.issue.issue}** — ${d.issue.confidence} confidence (${d.issue.why})` : 'not recognised'}`
+  ];
+}
+
+function detectionComponents(d) {
+  return [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId('detect:accept').setLabel('Accept detected').setStyle(ButtonStyle.Success),
+      new ButtonBuilder().setCustomId('detect:dismiss').setLabel('Dismiss').setStyle(ButtonStyle.Secondary)
+    ),
+    new ActionRowBuilder().addComponents(
+      new UserSelectMenuBuilder().setCustomId('detect:opponent').setPlaceholder('Override: pick the opponent')
+    ),
+    new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId('detect:issue')
+        .setPlaceholder('Override: pick the issue')
+        .addOptions(ISSUE_CHOICES.map(c => ({ label: c.name, value: c.value, default: c.value === d.issue?.issue })))
+    )
+  ];
+}
+
+// ====== OPENING A DISPUTE ======
+// Shared by the mention trigger and the intake modal. `originMessage` is the public message in the
+// origin dispute channel: the trigger itself, or the bot's summary of a modal submission.
+async function openDispute({ originMessage, raiser, playerCountry, opponentCountry, opponentId = null, issue = null, details = null, detected = null }) {
+  const guild = originMessage.guild;
+
+  // Destination (per origin, default Gymbreakers) for thread creation
+  const dest = destinationFor(guild.id);
+  const destGuild = await client.guilds.fetch(dest.guildId).catch(() => null);
+  if (!destGuild) {
+    console.error('❌ Cannot fetch destination guild for thread creation.');
+    return null;
+  }
+
+  // If request already a thread, reuse mapping; else create new thread in DEST guild
+  const channel = originMessage.channel;
+  const isThread = (channel.type === ChannelType.PublicThread || channel.type === ChannelType.PrivateThread);
+  const disputeThread = isThread ? channel : null;
+
+  let refThread = disputeThread ? await destGuild.channels
+    .fetch(disputeToRefThread.get(disputeThread.id) || '0').catch(() => null) : null;
+
+  if (!refThread) {
+    refThread = await createRefThreadInDestination(destGuild, originMessage, dest, raiser);
+    if (disputeThread) disputeToRefThread.set(disputeThread.id, refThread.id);
+
+    // 🧵 Thread successfully created
+    await originMessage.react('🧵').catch(() => {});
+  }
+
+  // Seed meta, mappings (store ORIGIN guild id for later ops)
+  const meta = {
+    p1Id: raiser.id,       // Disputer
+    p2Id: opponentId,      // Opponent
+    issue,
+    playerCountry,
+    opponentCountry,
+    originGuildId: guild.id,
+    openedAt: Date.now(),
+    state: 'open',
+    detected
+  };
+  refMeta.set(refThread.id, meta);
+
+  // track open threads for Disputer (and the Opponent when already known)
+  addOpenThreadFor(raiser.id, refThread.id);
+  if (opponentId) addOpenThreadFor(opponentId, refThread.id);
+
+  refThreadToPlayer.set(refThread.id, raiser.id);
+  refThreadToOrigin.set(refThread.id, {
+    originGuildId: guild.id,
+    channelId: channel.id,
+    messageId: originMessage.id
+  });
+  saveState();
+  await updateOriginStatus(meta, refThread.id);
+
+  // Intro post in DEST thread; intake answers arrive as Set: lines so a rebuild can read them back
+  await refThread.send({
+    content: buildIntro({
+      playerName: raiser.globalName || raiser.username,
+      playerCountry,
+      opponentCountry,
+      originGuildName: guild.name,
+      dest,
+      detected
+    }),
+    components: detected ? detectionComponents(detected) : [],
+    allowedMentions: { parse: ['roles'] }
+  });
+  if (details) await refThread.send({ content: details, allowedMentions: { parse: [] } });
+  if (opponentId) await refThread.send(setPlayersLine(raiser.id, opponentId));
+  if (issue) await refThread.send(setIssueLine(issue));
+
+  // Add refs / remove conflicts / purge players in DEST guild
+  await addAllRefsToThread(refThread, destGuild);
+  await removeConflictedFromThread(refThread, destGuild);
+  await purgePlayersFromThread(refThread, destGuild);
+  if (opponentId && issue) await renameThreadByMeta(refThread);
+  meta.refsAssignedAt = Date.now();
+  saveState();
+  await updateOriginStatus(meta, refThread.id);
+  await autoAssignLead(refThread, meta);
+
+  // DM the player with questions (origin still OK), and the opponent when known
+  await dmDisputeRaiser(raiser, originMessage, disputeThread, playerCountry);
+  if (opponentId) await notifyOpponent(refThread, meta);
+  await linkRelatedDisputes(refThread, meta);
+  return refThread;
+}
+
+// ====== RELATED DISPUTES (duplicates + /merge) ======
+// Both sides of a match raising it, or one player triggering twice, open separate threads.
+// Those are cross-linked when they share the player pair or the country pair.
+const pairKey = (a, b) => [a, b].map(x => String(x).toLowerCase()).sort().join('|');
+
+function relatedReasons(a, b) {
+  const reasons = [];
+  if (a.p1Id && a.p2Id && b.p1Id && b.p2Id && pairKey(a.p1Id, a.p2Id) === pairKey(b.p1Id, b.p2Id)) {
+    reasons.push('same players');
+  }
+  const ca = [a.playerCountry?.name, a.opponentCountry?.name], cb = [b.playerCountry?.name, b.opponentCountry?.name];
+  if ([...ca, ...cb].every(Boolean) && pairKey(...ca) === pairKey(...cb)) reasons.push('same countries');
+  return reasons;
+}
+
+function findRelatedDisputes(threadId, meta) {
+  if (!config.duplicateWindowHours) return [];
+  const windowMs = config.duplicateWindowHours * 60 * 60 * 1000;
+  const out = [];
+  for (const [otherId, other] of refMeta) {
+    if (otherId === threadId) continue;
+    if (Math.abs((other.openedAt || 0) - (meta.openedAt || 0)) > windowMs) continue;
+    const reasons = relatedReasons(meta, other);
+    if (reasons.length) out.push({ threadId: otherId, meta: other, reasons });
+  }
+  return out;
+}
+
+// Post a cross-link in both threads, once per pair
+async function linkRelatedDisputes(thread, meta) {
+  for (const r of findRelatedDisputes(thread.id, meta)) {
+    if ((meta.related || []).includes(r.threadId)) continue;
+    meta.related = [...(meta.related || []), r.threadId];
+    r.meta.related = [...(r.meta.related || []), thread.id];
+    saveState();
+
+    const why = r.reasons.join(', ');
+    await thread.send(`🔗 **Possibly related dispute:** <#${r.threadId}> (${why}, opened <t:${Math.floor((r.meta.openedAt || Date.now()) / 1000)}:R>). Run \`/merge\` in the thread you want to keep to fold the other one into it.`).catch(() => {});
+    const other = await client.channels.fetch(r.threadId).catch(() => null);
+    await other?.send(`🔗 **Possibly related dispute:** <#${thread.id}> (${why}, opened just now). Run \`/merge\` in the thread you want to keep to fold the other one into it.`).catch(() => {});
+  }
+}
+
+// Fold `dup` into `primary`: players, DM routing and missing details move over, then dup closes
+async function mergeDisputes(primary, primaryMeta, dup, dupMeta, userId) {
+  const moved = [];
+  for (const uid of [dupMeta.p1Id, dupMeta.p2Id].filter(Boolean)) {
+    const routedToDup = dmRouteChoice.get(uid) === dup.id;
+    removeOpenThreadFor(uid, dup.id);
+    addOpenThreadFor(uid, primary.id);
+    if (routedToDup) dmRouteChoice.set(uid, primary.id);
+    moved.push(`<@${uid}>`);
+  }
+  for (const [originThreadId, refThreadId] of disputeToRefThread) {
+    if (refThreadId === dup.id) disputeToRefThread.set(originThreadId, primary.id);
+  }
+
+  // The duplicate only fills gaps; the primary's own values win. When the duplicate was raised by
+  // the other side, its Disputer is our Opponent, so its countries (and p1/p2 options) are mirrored.
+  const reversed = Boolean(dupMeta.p1Id && dupMeta.p1Id !== primaryMeta.p1Id);
+  const newOpponent = primaryMeta.p2Id ? null : reversed ? dupMeta.p1Id : dupMeta.p2Id || null;
+  const dupView = reversed
+    ? { ...dupMeta, playerCountry: dupMeta.opponentCountry, opponentCountry: dupMeta.playerCountry }
+    : dupMeta;
+  const sided = new Set(['favour', 'penalty_against', 'device_player']);
+  for (const field of ['issue', 'playerCountry', 'opponentCountry', ...DECISION_META_OPTIONS]) {
+    if (reversed && sided.has(field)) continue;
+    if (primaryMeta[field] == null && dupView[field] != null) primaryMeta[field] = dupView[field];
+  }
+  primaryMeta.mergedFrom = [...(primaryMeta.mergedFrom || []), dup.id];
+  refMeta.set(primary.id, primaryMeta);
+  dupMeta.mergedInto = primary.id;
+  saveState();
+
+  if (newOpponent && primaryMeta.p1Id) await assignPlayers(primary, primaryMeta, primaryMeta.p1Id, newOpponent);
+  else await renameThreadByMeta(primary);
+
+  await primary.send({
+    content: `🔀 <@${userId}> merged <#${dup.id}> into this dispute. DMs from ${moved.join(', ') || 'its players'} now arrive here.`,
+    allowedMentions: { parse: [] }
+  }).catch(() => {});
+
+  await closeDispute(dup, dupMeta, {
+    dmKey: 'merged_dm',
+    beforeLock: () => dup.send(`🔀 Merged into <#${primary.id}> by <@${userId}>. This thread is closed.`).catch(() => {})
+  });
+  return moved;
+}
+
 // ====== MESSAGE HANDLERS ======
 
 // Trigger: @Referee OR @Bot in either origin server's dispute channel -> create thread in Gymbreakers
@@ -429,7 +1448,7 @@ client.on(Events.MessageCreate, async (message) => {
   try {
     if (!message.guild || message.author?.bot) return;
 
-    const originCfg = ORIGINS[message.guild.id];
+    const originCfg = config.origins[message.guild.id];
     if (!originCfg) return; // ignore other servers
     
     const inOriginDisputeChan =
@@ -450,75 +1469,20 @@ await message.react('✅').catch(() => {});
     // Require opponent country
     if (!opponentCountry.name) {
       await message.reply({
-        content: 'I could not detect an **opponent country**. Please re-raise the issue and tag the opponent country role (name includes [XX]).',
+        content: 'I could not detect an **opponent country**. Please re-raise the issue and tag the opponent country role (name includes [XX]), or use the **Raise a dispute** button.',
         allowedMentions: { parse: [] }
       });
       return;
     }
 
-    // Destination (Gymbreakers) for thread creation
-    const destGuild = await client.guilds.fetch(DEST_GUILD_ID).catch(() => null);
-    if (!destGuild) {
-      console.error('❌ Cannot fetch destination guild for thread creation.');
-      return;
-    }
-
-    // If request already a thread, reuse mapping; else create new thread in DEST guild
-    const isThread = (message.channel.type === ChannelType.PublicThread || message.channel.type === ChannelType.PrivateThread);
-    const disputeThread = isThread ? message.channel : null;
-
-    let refThread = disputeThread ? await destGuild.channels
-      .fetch(disputeToRefThread.get(disputeThread.id) || '0').catch(() => null) : null;
-
-  if (!refThread) {
-  refThread = await createRefThreadInDestination(destGuild, message);
-  if (disputeThread) disputeToRefThread.set(disputeThread.id, refThread.id);
-
-  // 🧵 Thread successfully created
-  await message.react('🧵').catch(() => {});
-}
-
-    // Seed meta, mappings (store ORIGIN guild id for later ops)
-    refMeta.set(refThread.id, {
-      p1Id: message.author.id,  // Disputer
-      p2Id: null,               // Opponent
-      issue: null,
+    await openDispute({
+      originMessage: message,
+      raiser: message.author,
       playerCountry,
       opponentCountry,
-      originGuildId: message.guild.id
-    });
-
-    // track open threads for Disputer (author)
-    addOpenThreadFor(message.author.id, refThread.id);
-
-    refThreadToPlayer.set(refThread.id, message.author.id);
-    refThreadToOrigin.set(refThread.id, {
-      originGuildId: message.guild.id,
-      channelId: message.channel.id,
-      messageId: message.id
+      detected: detectFromTrigger(message)
     });
 
-    // Intro post in DEST thread
-    const playerName = message.author.globalName || message.author.username;
-    await refThread.send(buildIntro({
-      playerName,
-      playerCountry,
-      opponentCountry,
-      originGuildName: message.guild?.name
-    }));
-
-    // Add refs / remove conflicts / purge players in DEST guild
-    await addAllRefsToThread(refThread, destGuild);
-    await removeConflictedFromThread(
-      refThread,
-      destGuild,
-      [playerCountry?.name, opponentCountry?.name].filter(Boolean)
-    );
-    await purgePlayersFromThread(refThread, destGuild);
-
-    // DM the player with questions (origin still OK)
-    await dmDisputeRaiser(message, disputeThread);
-
   } catch (err) {
     console.error('Dispute trigger handler error:', err);
   }
@@ -538,25 +1502,73 @@ client.on(Events.MessageCreate, async (message) => {
     if (!refThreadId) {
       const ok = await promptDmRouteSelect(message.author);
       if (!ok) {
-        try { await message.reply('I could not determine a dispute to forward this to.'); } catch {}
+        try { await message.reply(t(languageForUser(uid), 'forward_undetermined')); } catch {}
       }
       return;
     }
 
-    const refThread = await client.channels.fetch(refThreadId).catch(() => null);
+    let refThread = await client.channels.fetch(refThreadId).catch(() => null);
     if (!refThread) {
       // Clean up dead mapping and re-prompt if other threads exist
       removeOpenThreadFor(uid, refThreadId);
+      saveState();
       const nextId = getRoutableThreadIdForUser(uid);
       if (!nextId) {
         const ok = await promptDmRouteSelect(message.author);
-        if (!ok) try { await message.reply('I could not find an active dispute to forward this to.'); } catch {}
+        if (!ok) try { await message.reply(t(languageForUser(uid), 'forward_not_found')); } catch {}
+        return;
+      }
+      // Route to the remaining thread before any evidence or SLA bookkeeping
+      refThreadId = nextId;
+      refThread = await client.channels.fetch(refThreadId).catch(() => null);
+      if (!refThread) {
+        try { await message.reply(t(languageForUser(uid), 'forward_not_found')); } catch {}
         return;
       }
     }
 
-    const files = [...message.attachments.values()].map(a => a.url);
-    const content = `📥 **${message.author.username} (DM):** ${message.content || (files.length ? '(attachment)' : '(empty)')}`;
+    // Label who is talking; the opponent's first reply also settles their response deadline
+    const meta = refMeta.get(refThreadId) || {};
+    const role = meta.p1Id === uid ? 'Disputer' : meta.p2Id === uid ? 'Opponent' : null;
+    const notice = role === 'Opponent' && meta.opponentNotice?.userId === uid ? meta.opponentNotice : null;
+    const late = Boolean(notice?.deadline && !notice.respondedAt && Date.now() > notice.deadline);
+    if (notice && !notice.respondedAt) notice.respondedAt = Date.now();
+
+    // SLA: the player answered, and is not silent
+    if (role) {
+      meta.lastDmAt = { ...meta.lastDmAt, [uid]: Date.now() };
+      if (meta.pendingReplies?.[uid]) delete meta.pendingReplies[uid];
+      saveState();
+    }
+    // Every asked player has answered: back to the refs
+    const answered = role && stateOf(meta) === 'awaiting_evidence' && !Object.keys(meta.pendingReplies || {}).length;
+
+    // Evidence locker: keep a hashed copy of every attachment and note any video links
+    const stored = [];
+    for (const a of message.attachments.values()) {
+      const entry = await storeAttachment(refThreadId, uid, a).catch(e => {
+        console.error('Evidence download error:', e?.message || e);
+        return null;
+      });
+      stored.push({ attachment: a, entry });
+    }
+    const links = recordVideoLinks(refThreadId, uid, message.content);
+    if (stored.some(x => x.entry) || links.length) saveState();
+
+    // Forward the locker copy when we have one (CDN links expire), else the original URL
+    const files = stored
+      .filter(({ attachment, entry }) => (entry?.size ?? attachment.size) <= FORWARD_MAX_BYTES)
+      .map(({ attachment, entry }) => entry?.kind === 'file' ? { attachment: entry.path, name: entry.fileName } : attachment.url);
+    const evidenceNotes = [
+      ...stored.map(({ attachment, entry }) => entry ? `🔒 ${evidenceLine(entry)}` : `⚠️ \`${attachment.name}\` could not be saved to the evidence locker.`),
+      ...links.map(e => `🔒 ${evidenceLine(e)}`)
+    ];
+
+    const label = `${role ? `${role} DM` : 'DM'}${late ? ', after deadline' : ''}`;
+    const content = [
+      `📥 **${message.author.username} (${label}):** ${message.content || (message.attachments.size ? '(attachment)' : '(empty)')}`,
+      ...evidenceNotes
+    ].join('\n').slice(0, 2000);
 
     if (files.length) {
       await refThread.send({ content, files }).catch(async () => {
@@ -565,45 +1577,235 @@ client.on(Events.MessageCreate, async (message) => {
     } else {
       await refThread.send(content);
     }
+    if (answered) await setDisputeState(refThread, meta, 'under_review', { note: 'players answered' });
   } catch (e) {
     console.error('DM mirror error:', e);
   }
 });
 
 // Handle DM route selection
-client.on(Events.InteractionCreate, async (interaction) => {
+async function handleDmRouteSelect(interaction) {
   try {
     if (!interaction.isStringSelectMenu()) return;
-    if (interaction.customId !== 'dm-route-select') return;
 
     const uid = interaction.user.id;
+    const lang = languageForUser(uid);
     const choice = interaction.values?.[0];
-    if (!choice) return interaction.reply({ content: 'No selection received.', flags: MessageFlags.Ephemeral });
+    if (!choice) return interaction.reply({ content: t(lang, 'route_no_selection'), flags: MessageFlags.Ephemeral });
 
     // Validate selection belongs to the user
     const set = openThreadsByPlayer.get(uid);
     if (!set || !set.has(choice)) {
-      return interaction.reply({ content: 'That dispute is no longer available.', flags: MessageFlags.Ephemeral });
+      return interaction.reply({ content: t(lang, 'route_gone'), flags: MessageFlags.Ephemeral });
     }
 
     dmRouteChoice.set(uid, choice);
-    return interaction.reply({ content: 'Got it. I will forward your DMs to that dispute thread.', flags: MessageFlags.Ephemeral });
+    saveState();
+    return interaction.reply({ content: t(lang, 'route_chosen'), flags: MessageFlags.Ephemeral });
   } catch (e) {
     console.error('dm-route-select error', e);
   }
-});
+}
 
-// ====== VOTE MAPPING ======
-const VOTE_CHOICES = {
-  rematch:      { label: 'Rematch',      emoji: '🔁' },
-  no_rematch:   { label: 'No Rematch',   emoji: '❌' },
-  invalid:      { label: 'Invalid',      emoji: '🚫' },
-  defwin:       { label: 'Defwin',       emoji: '🏆' },
-  warning:      { label: 'Warning',      emoji: '⚠️' },
-  penalty:      { label: 'Penalty',      emoji: '🟨' },
-};
+// ====== INTAKE (button + modal in each origin's dispute channel) ======
+// A structured alternative to the mention trigger: the modal collects the opponent, their country,
+// the issue, match time and a description, so the ref thread opens with everything filled in.
+const INTAKE_OPEN_ID = 'intake:open';
+const INTAKE_MODAL_ID = 'intake:submit';
+
+function intakePanelMessage() {
+  return {
+    content: [
+      '⚖️ **Need a referee?**',
+      'Press **Raise a dispute** and fill in the form. You can still tag the referee role as before.'
+    ].join('\n'),
+    components: [
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(INTAKE_OPEN_ID).setLabel('Raise a dispute').setEmoji('⚖️').setStyle(ButtonStyle.Primary)
+      )
+    ]
+  };
+}
+
+// Post the panel in every origin dispute channel that does not have one yet (runs at startup)
+async function ensureIntakePanels() {
+  let changed = false;
+  for (const [guildId, o] of Object.entries(config.origins)) {
+    const chan = await client.channels.fetch(o.disputeChannelId).catch(() => null);
+    if (!chan || chan.type !== ChannelType.GuildText) continue;
+
+    const known = intakePanels.get(guildId);
+    if (known?.channelId === chan.id && await chan.messages.fetch(known.messageId).catch(() => null)) continue;
+
+    const posted = await chan.send(intakePanelMessage()).catch(e => {
+      console.error(`❌ Cannot post the intake panel in ${chan.id}:`, e?.message || e);
+      return null;
+    });
+    if (posted) {
+      intakePanels.set(guildId, { channelId: chan.id, messageId: posted.id });
+      changed = true;
+    }
+  }
+  if (changed) saveState();
+}
+
+function intakeModal() {
+  return new ModalBuilder()
+    .setCustomId(INTAKE_MODAL_ID)
+    .setTitle('Raise a dispute')
+    .addLabelComponents(
+      new LabelBuilder()
+        .setLabel('Opponent')
+        .setUserSelectMenuComponent(new UserSelectMenuBuilder().setCustomId('opponent').setMinValues(1).setMaxValues(1)),
+      new LabelBuilder()
+        .setLabel('Opponent country')
+        .setDescription('The country role with [XX] in its name')
+        .setRoleSelectMenuComponent(new RoleSelectMenuBuilder().setCustomId('country').setMinValues(1).setMaxValues(1)),
+      new LabelBuilder()
+        .setLabel('Issue')
+        .setStringSelectMenuComponent(
+          new StringSelectMenuBuilder()
+            .setCustomId('issue')
+            .addOptions(ISSUE_CHOICES.map(c => ({ label: c.name, value: c.value })))
+        ),
+      new LabelBuilder()
+        .setLabel('Match time')
+        .setTextInputComponent(
+          new TextInputBuilder().setCustomId('match_time').setStyle(TextInputStyle.Short)
+            .setPlaceholder('e.g. Saturday 18:00 UTC').setMaxLength(100)
+        ),
+      new LabelBuilder()
+        .setLabel('What happened?')
+        .setTextInputComponent(
+          new TextInputBuilder().setCustomId('description').setStyle(TextInputStyle.Paragraph).setMaxLength(1000)
+        )
+    );
+}
+
+async function handleIntake(interaction) {
+  if (interaction.isButton() && interaction.customId === INTAKE_OPEN_ID) {
+    if (!config.origins[interaction.guildId]) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'Disputes are not raised from this server.' });
+    }
+    return interaction.showModal(intakeModal()).catch(e => console.error('intake modal error', e));
+  }
+  if (!interaction.isModalSubmit() || interaction.customId !== INTAKE_MODAL_ID) return;
+
+  const uid = interaction.user.id;
+  try {
+    const guild = interaction.guild;
+    if (!guild || !config.origins[guild.id]) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'Disputes are not raised from this server.' });
+    }
+
+    const member = await guild.members.fetch(uid);
+    const playerCountry = getMemberCountry(member);
+    const lang = languageForUser(uid, playerCountry.name);
+
+    const opponent = interaction.fields.getSelectedUsers('opponent')?.first();
+    const role = interaction.fields.getSelectedRoles('country')?.first();
+    const issue = interaction.fields.getStringSelectValues('issue')?.[0] || null;
+    const matchTime = interaction.fields.getTextInputValue('match_time').trim();
+    const description = interaction.fields.getTextInputValue('description').trim();
+
+    if (!opponent || opponent.bot || opponent.id === uid) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, content: t(lang, 'intake_bad_opponent') });
+    }
+    if (!role || !/\[.*\]/.test(role.name) || role.name === playerCountry.name) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, content: t(lang, 'intake_bad_country') });
+    }
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    // Public record in the dispute channel (it becomes the origin message of the ref thread)
+    const originMessage = await interaction.channel.send({
+      content: [
+        `📝 **Dispute raised** by <@${uid}> against <@${opponent.id}> (${role.name})`,
+        `**Issue:** ${issue || '—'}  •  **Match time:** ${matchTime}`
+      ].join('\n'),
+      allowedMentions: { parse: [] }
+    });
+    await originMessage.react('✅').catch(() => {});
+
+    const refThread = await openDispute({
+      originMessage,
+      raiser: interaction.user,
+      playerCountry,
+      opponentCountry: { id: role.id, name: role.name },
+      opponentId: opponent.id,
+      issue,
+      details: [
+        '📝 **Intake form**',
+        `**Match time:** ${matchTime}`,
+        `**Description:** ${description}`
+      ].join('\n')
+    });
+    return interaction.editReply(t(lang, refThread ? 'intake_sent' : 'intake_failed'));
+  } catch (e) {
+    console.error('intake submit error', e);
+    const content = t(languageForUser(uid), 'intake_failed');
+    return (interaction.deferred ? interaction.editReply(content) : interaction.reply({ flags: MessageFlags.Ephemeral, content })).catch(() => {});
+  }
+}
+
+// Accept / dismiss / override the trigger detection shown on the intro post
+async function handleDetectComponent(interaction) {
+  try {
+    const ch = interaction.channel;
+    const meta = refMeta.get(ch?.id);
+    if (!meta) return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'This dispute is no longer open.' });
+    if (!hasAccess(interaction, 'jr')) return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'Only referees can apply these suggestions.' });
+    const d = meta.detected || {};
+    const by = `<@${interaction.user.id}>`;
+
+    // Retire the controls on the intro post (its text stays as the record of what was detected)
+    await interaction.update({ components: [] });
+
+    switch (interaction.customId) {
+      case 'detect:accept': {
+        const applied = [];
+        if (d.opponent && meta.p1Id && !meta.p2Id) {
+          await assignPlayers(ch, meta, meta.p1Id, d.opponent.id);
+          applied.push('opponent');
+        }
+        if (d.issue && !meta.issue) {
+          await assignIssue(ch, meta, d.issue.issue);
+          applied.push('issue');
+        }
+        await ch.send({ content: `✅ ${by} accepted the detected ${applied.join(' and ') || 'values (nothing left to apply)'}.`, allowedMentions: { parse: [] } });
+        break;
+      }
+      case 'detect:dismiss':
+        await ch.send({ content: `✖️ ${by} dismissed the detection. Use \`/set players\` and \`/set issue\`.`, allowedMentions: { parse: [] } });
+        break;
+      case 'detect:opponent': {
+        const opponentId = interaction.values?.[0];
+        if (opponentId && meta.p1Id && opponentId !== meta.p1Id) await assignPlayers(ch, meta, meta.p1Id, opponentId);
+        break;
+      }
+      case 'detect:issue':
+        if (interaction.values?.[0]) await assignIssue(ch, meta, interaction.values[0]);
+        break;
+    }
+    delete meta.detected;
+    saveState();
+  } catch (e) {
+    console.error('detect action error', e);
+  }
+}
+
+// ====== VOTE MAPPING ======
+const VOTE_CHOICES = {
+  rematch:      { label: 'Rematch',      emoji: '🔁' },
+  no_rematch:   { label: 'No Rematch',   emoji: '❌' },
+  invalid:      { label: 'Invalid',      emoji: '🚫' },
+  defwin:       { label: 'Defwin',       emoji: '🏆' },
+  warning:      { label: 'Warning',      emoji: '⚠️' },
+  penalty:      { label: 'Penalty',      emoji: '🟨' },
+};
 
 // ====== SLASH COMMANDS ======
+// Who may run each command is checked by COMMAND_ACCESS (referee roles), not Discord permissions.
 const ISSUE_CHOICES = [
   { name: 'Lag', value: 'Lag' },
   { name: 'Communication', value: 'Communication' },
@@ -617,7 +1819,6 @@ const cmdSetPlayers = new SlashCommandBuilder()
   .setDescription('Set Disputer and Opponent for this dispute thread.')
   .addUserOption(o => o.setName('player1').setDescription('Disputer').setRequired(true))
   .addUserOption(o => o.setName('player2').setDescription('Opponent').setRequired(true))
-  .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
   .toJSON();
 
 const cmdSetIssue = new SlashCommandBuilder()
@@ -626,7 +1827,6 @@ const cmdSetIssue = new SlashCommandBuilder()
   .addStringOption(o =>
     o.setName('issue').setDescription('Issue type').setRequired(true).addChoices(...ISSUE_CHOICES)
   )
-  .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
   .toJSON();
 
 // Unified /set with subcommands
@@ -700,7 +1900,6 @@ const cmdSet = new SlashCommandBuilder()
       .addStringOption(o => o.setName('old').setDescription('Old move').setRequired(true))
       .addStringOption(o => o.setName('new').setDescription('New move used').setRequired(true))
   )
-  .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
   .toJSON();
 
 const cmdMessage = new SlashCommandBuilder()
@@ -717,7 +1916,6 @@ const cmdMessage = new SlashCommandBuilder()
       ))
   .addStringOption(o =>
     o.setName('text').setDescription('Message text').setRequired(true))
-  .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
   .toJSON();
 
 // ✅ country_post now requires a channel (no auto-find)
@@ -731,116 +1929,220 @@ const cmdCountryPost = new SlashCommandBuilder()
       .addChannelTypes(ChannelType.GuildText)
   )
   .addStringOption(o => o.setName('text').setDescription('Message').setRequired(true))
-  .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
   .toJSON();
 
 const cmdClose = new SlashCommandBuilder()
   .setName('close')
   .setDescription('Close: archive and lock, stop DMs, delete trigger, DM disputer.')
-  .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+  .addBooleanOption(o => o.setName('withdrawn').setDescription('The disputer withdrew the dispute (status Withdrawn)').setRequired(false))
   .toJSON();
 
 // Re-run conflict removal on demand
 const cmdRemoveConflicts = new SlashCommandBuilder()
   .setName('remove_conflicts')
   .setDescription('Remove all conflicted referees from this thread.')
-  .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
   .toJSON();
 
-// Retag (only add members with RETAG_ROLE_ID)
+// Retag (only add members with the configured retag role)
 const cmdRetagRefs = new SlashCommandBuilder()
   .setName('retag_refs')
   .setDescription('Re-add and ping the specified role in this thread.')
-  .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
   .toJSON();
 
-// ---- /decision (templated rulings) ----
-const cmdDecision = new SlashCommandBuilder()
-  .setName('decision')
-  .setDescription('Post a templated referee decision.')
-  .addStringOption(o =>
-    o.setName('outcome')
-     .setDescription('Pick a template')
-     .setRequired(true)
-     .addChoices(
-       // Lag
-       { name: 'Lag - Rematch', value: 'lag_rematch' },
-       { name: 'Lag - No Rematch', value: 'lag_no_rematch' },
-       { name: 'Lag - Win → Disputer', value: 'lag_win_p1' },
-       { name: 'Lag - Win → Opponent', value: 'lag_win_p2' },
-       // Communication
-       { name: 'Communication - Missed to one opponent (6.1 - 1pt)', value: 'comm_bad_1' },
-       { name: 'Communication - Missed to both opponents (6.1 - 3pt)', value: 'comm_bad_3' },
-       { name: 'Communication - Dispute invalid', value: 'comm_invalid' },
-       // Device
-       { name: 'Device - Rematch', value: 'dev_rematch' },
-       { name: 'Device - No Rematch', value: 'dev_no_rematch' },
-       { name: 'Device - Win → Disputer', value: 'dev_win_p1' },
-       { name: 'Device - Win → Opponent', value: 'dev_win_p2' },
-       // No Show
-       { name: 'No Show - Disputer failed (6.2.4 - 1pt)', value: 'ns_p1_1' },
-       { name: 'No Show - Opponent failed (6.2.4 - 1pt)', value: 'ns_p2_1' },
-       { name: 'No Show - Disputer failed (6.2.5 - 3pt)', value: 'ns_p1_3' },
-       { name: 'No Show - Opponent failed (6.2.5 - 3pt)', value: 'ns_p2_3' },
-       // Wrong Pokémon/Moveset
-       { name: 'Wrong Pokémon (unregistered)', value: 'wp_pokemon' },
-       { name: 'Wrong Moveset (changed)', value: 'wp_moveset' },
-     )
+// ---- /evidence (locker) ----
+const cmdEvidence = new SlashCommandBuilder()
+  .setName('evidence')
+  .setDescription('Evidence saved from player DMs in this dispute.')
+  .addSubcommand(sc =>
+    sc.setName('list')
+      .setDescription('List stored files and video links')
   )
+  .addSubcommand(sc =>
+    sc.setName('get')
+      .setDescription('Re-serve a stored file and verify its hash')
+      .addIntegerOption(o => o.setName('number').setDescription('Evidence # from /evidence list').setRequired(true).setMinValue(1))
+  )
+  .toJSON();
+
+// ---- /transcript (export an open thread) ----
+const cmdTranscript = new SlashCommandBuilder()
+  .setName('transcript')
+  .setDescription('Export this dispute thread as HTML + Markdown (also saved on the bot host).')
+  .toJSON();
+
+// ---- /merge (fold a duplicate dispute into this one) ----
+const cmdMerge = new SlashCommandBuilder()
+  .setName('merge')
+  .setDescription('Merge a duplicate dispute thread into this one (the other thread is closed).')
+  .addChannelOption(o =>
+    o.setName('duplicate')
+      .setDescription('The duplicate dispute thread')
+      .setRequired(true)
+      .addChannelTypes(ChannelType.PrivateThread, ChannelType.PublicThread))
+  .toJSON();
+
+// ---- /claim & /handoff (lead referee) ----
+const cmdClaim = new SlashCommandBuilder()
+  .setName('claim')
+  .setDescription('Become the lead referee of this dispute.')
+  .toJSON();
+
+const cmdHandoff = new SlashCommandBuilder()
+  .setName('handoff')
+  .setDescription('Hand the lead of this dispute to another referee.')
+  .addUserOption(o => o.setName('to').setDescription('New lead (empty: auto-pick when auto-assign is on, else release)').setRequired(false))
+  .toJSON();
+
+// ---- /status (dispute lifecycle) ----
+// Closed/Withdrawn come from /close and Appealed from /appeal, so they are not offered here
+const STATUS_CHOICES = ['open', 'awaiting_evidence', 'under_review', 'voting', 'decided'];
+const cmdStatus = new SlashCommandBuilder()
+  .setName('status')
+  .setDescription('Show or change where this dispute stands.')
   .addStringOption(o =>
-    o.setName('team_rule')
-     .setDescription('If rematch: team rule')
-     .setRequired(false)
-     .addChoices(
-       { name: 'Same teams and same lead', value: 'same_teams_same_lead' },
-       { name: 'Same lead, backline may change', value: 'same_lead_flex_back' },
-       { name: 'New teams allowed', value: 'new_teams' },
-     ))
-  .addStringOption(o =>
-    o.setName('favour')
-     .setDescription('Communication: award country')
-     .setRequired(false)
-     .addChoices(
-       { name: 'Disputer country', value: 'p1_country' },
-       { name: 'Opponent country', value: 'p2_country' },
-     ))
-  .addStringOption(o =>
-    o.setName('schedule_window')
-     .setDescription('Communication: schedule window (e.g., 24 hours)')
-     .setRequired(false))
-  .addStringOption(o =>
-    o.setName('device_player')
-     .setDescription('Device Issue: who had the device issue')
-     .setRequired(false)
-     .addChoices(
-       { name: 'Disputer', value: 'p1' },
-       { name: 'Opponent', value: 'p2' },
-     ))
-  .addStringOption(o =>
-    o.setName('pokemon')
-     .setDescription('Wrong Pokémon: name')
-     .setRequired(false))
-  .addStringOption(o =>
-    o.setName('old_move')
-     .setDescription('Wrong Moveset: old move')
-     .setRequired(false))
-  .addStringOption(o =>
-    o.setName('new_move')
-     .setDescription('Wrong Moveset: new move')
-     .setRequired(false))
-  .addStringOption(o =>
-    o.setName('penalty_against')
-     .setDescription('Penalty goes to which country')
-     .setRequired(false)
-     .addChoices(
-       { name: 'Disputer country', value: 'p1_country' },
-       { name: 'Opponent country', value: 'p2_country' },
-     ))
+    o.setName('state')
+      .setDescription('New state (empty: show the current state and history)')
+      .setRequired(false)
+      .addChoices(...STATUS_CHOICES.map(value => ({ name: stateLabel(value), value }))))
+  .addStringOption(o => o.setName('note').setDescription('Why (shown in the thread)').setRequired(false).setMaxLength(200))
+  .toJSON();
+
+// ---- /recuse (step aside from this dispute) ----
+const cmdRecuse = new SlashCommandBuilder()
+  .setName('recuse')
+  .setDescription('Step aside from this dispute: you are removed and not re-added or counted as a voter.')
+  .addStringOption(o => o.setName('reason').setDescription('Why (logged in the thread)').setRequired(false).setMaxLength(200))
+  .toJSON();
+
+// ---- /conflict (declared conflicts of interest, any channel) ----
+const cmdConflict = new SlashCommandBuilder()
+  .setName('conflict')
+  .setDescription('Your declared conflicts of interest with players.')
+  .addSubcommand(sc =>
+    sc.setName('declare')
+      .setDescription('Keep yourself out of every dispute involving this player')
+      .addUserOption(o => o.setName('user').setDescription('Player').setRequired(true))
+      .addStringOption(o => o.setName('reason').setDescription('e.g. teammate, played them, friend').setRequired(false).setMaxLength(200))
+  )
+  .addSubcommand(sc =>
+    sc.setName('remove')
+      .setDescription('Withdraw a declared conflict')
+      .addUserOption(o => o.setName('user').setDescription('Player').setRequired(true))
+  )
+  .addSubcommand(sc =>
+    sc.setName('list')
+      .setDescription('List declared conflicts')
+      .addUserOption(o => o.setName('ref').setDescription('Referee (default: you)').setRequired(false))
+  )
+  .toJSON();
+
+// ---- /decision (templated rulings) ----
+
+// Template options shared by /decision and /decision_edit
+function addDecisionOptions(builder, { outcomeRequired }) {
+  return builder
+    .addStringOption(o =>
+      o.setName('outcome')
+       .setDescription('Pick a template')
+       .setRequired(outcomeRequired)
+       .addChoices(
+         ...decisionOutcomeChoices()
+       )
+    )
+    .addStringOption(o =>
+      o.setName('team_rule')
+       .setDescription('If rematch: team rule')
+       .setRequired(false)
+       .addChoices(
+         { name: 'Same teams and same lead', value: 'same_teams_same_lead' },
+         { name: 'Same lead, backline may change', value: 'same_lead_flex_back' },
+         { name: 'New teams allowed', value: 'new_teams' },
+       ))
+    .addStringOption(o =>
+      o.setName('favour')
+       .setDescription('Communication: award country')
+       .setRequired(false)
+       .addChoices(
+         { name: 'Disputer country', value: 'p1_country' },
+         { name: 'Opponent country', value: 'p2_country' },
+       ))
+    .addStringOption(o =>
+      o.setName('schedule_window')
+       .setDescription('Communication: schedule window (e.g., 24 hours)')
+       .setRequired(false))
+    .addStringOption(o =>
+      o.setName('device_player')
+       .setDescription('Device Issue: who had the device issue')
+       .setRequired(false)
+       .addChoices(
+         { name: 'Disputer', value: 'p1' },
+         { name: 'Opponent', value: 'p2' },
+       ))
+    .addStringOption(o =>
+      o.setName('pokemon')
+       .setDescription('Wrong Pokémon: name')
+       .setRequired(false))
+    .addStringOption(o =>
+      o.setName('old_move')
+       .setDescription('Wrong Moveset: old move')
+       .setRequired(false))
+    .addStringOption(o =>
+      o.setName('new_move')
+       .setDescription('Wrong Moveset: new move')
+       .setRequired(false))
+    .addStringOption(o =>
+      o.setName('penalty_against')
+       .setDescription('Penalty goes to which country')
+       .setRequired(false)
+       .addChoices(
+         { name: 'Disputer country', value: 'p1_country' },
+         { name: 'Opponent country', value: 'p2_country' },
+       ))
+    .addBooleanOption(o =>
+      o.setName('translate')
+       .setDescription("Add the ruling in the players' languages under the English text (remembered per thread)")
+       .setRequired(false));
+}
+
+// Built on demand: outcome choices come from the (reloadable) template file
+const buildCmdDecision = () => addDecisionOptions(
+  new SlashCommandBuilder()
+    .setName('decision')
+    .setDescription('Preview and post a templated referee decision.'),
+  { outcomeRequired: true }
+)
   .addChannelOption(o =>
     o.setName('channel')
      .setDescription('Post target (optional)')
      .setRequired(false))
-  .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+  .toJSON();
+
+// ---- /decision_edit & /decision_retract (posted decisions) ----
+const buildCmdDecisionEdit = () => addDecisionOptions(
+  new SlashCommandBuilder()
+    .setName('decision_edit')
+    .setDescription('Edit a posted decision (preview first).'),
+  { outcomeRequired: false }
+)
+  .addIntegerOption(o =>
+    o.setName('decision')
+     .setDescription('Which decision in this thread (1 = first, default: latest)')
+     .setRequired(false)
+     .setMinValue(1))
+  .toJSON();
+
+const cmdDecisionRetract = new SlashCommandBuilder()
+  .setName('decision_retract')
+  .setDescription('Withdraw a posted decision (asks to confirm).')
+  .addStringOption(o =>
+    o.setName('reason')
+     .setDescription('Why it is withdrawn (logged in this thread)')
+     .setRequired(true))
+  .addIntegerOption(o =>
+    o.setName('decision')
+     .setDescription('Which decision in this thread (1 = first, default: latest)')
+     .setRequired(false)
+     .setMinValue(1))
   .toJSON();
 
 // ---- /vote ----
@@ -904,227 +2206,1623 @@ const cmdVote = new SlashCommandBuilder()
     ))
   .addBooleanOption(o => o.setName('here').setDescription('Tag @here (default: true)').setRequired(false))
   .addChannelOption(o => o.setName('channel').setDescription('Post in another channel (optional)').setRequired(false))
-  .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+  .addNumberOption(o => o.setName('hours').setDescription('Auto-close after this many hours (optional)').setRequired(false).setMinValue(0.25).setMaxValue(336))
+  .addIntegerOption(o => o.setName('quorum').setDescription('Minimum eligible votes (default: config)').setRequired(false).setMinValue(0).setMaxValue(50))
+  .addBooleanOption(o => o.setName('secret').setDescription('Secret button ballot, results hidden until close (default: false)').setRequired(false))
   .toJSON();
 
-const slashCommands = [
-  cmdSetPlayers, cmdSetIssue, cmdSet, cmdMessage,
-  cmdCountryPost, cmdClose, cmdRemoveConflicts, cmdRetagRefs,
-  cmdDecision, cmdVote
-];
+// ---- /vote_close (tally eligible referee reactions) ----
+const cmdVoteClose = new SlashCommandBuilder()
+  .setName('vote_close')
+  .setDescription('Close the latest vote in this thread and post the result.')
+  .addStringOption(o => o.setName('message_id').setDescription('Vote message ID (default: latest open vote)').setRequired(false))
+  .toJSON();
 
-// ====== DECISION TEXT BUILDER ======
-function teamRuleLines(rule) {
-  switch (rule) {
-    case 'same_teams_same_lead':
-      return ['The same teams must be used, with the same lead Pokémon.'];
-    case 'same_lead_flex_back':
-      return ['The same lead Pokémon must be used, the back line may be changed.'];
-    case 'new_teams':
-      return ['New teams may be used.'];
-    default:
-      return [];
-  }
-}
+// ---- /resync (rebuild this thread's state from its bot posts) ----
+const cmdResync = new SlashCommandBuilder()
+  .setName('resync')
+  .setDescription('Rebuild this dispute thread\'s state from its messages.')
+  .toJSON();
 
-function decisionHeader(meta, raiserId, issueForText) {
-  const disputer = mention(meta.p1Id), opponent = mention(meta.p2Id);
-  const raiser = mention(raiserId);
-  const issue = issueForText || meta.issue || '(issue)';
+// ---- /config (admins; view & edit the runtime config) ----
+const cmdConfig = new SlashCommandBuilder()
+  .setName('config')
+  .setDescription('View or change the bot configuration.')
+  .addSubcommand(sc =>
+    sc.setName('view')
+      .setDescription('Show the current configuration')
+  )
+  .addSubcommand(sc =>
+    sc.setName('set')
+      .setDescription('Change a setting')
+      .addStringOption(o => o.setName('key').setDescription('Setting').setRequired(true).addChoices(
+        ...Object.entries(CONFIG_SETTINGS).map(([value, s]) => ({ name: s.label, value }))
+      ))
+      .addStringOption(o => o.setName('value').setDescription('Discord ID, number or on/off (or "none" to clear an optional setting)').setRequired(true))
+  )
+  .addSubcommand(sc =>
+    sc.setName('origin_add')
+      .setDescription('Add or update an origin server')
+      .addStringOption(o => o.setName('guild_id').setDescription('Origin server ID').setRequired(true))
+      .addStringOption(o => o.setName('key').setDescription('Short name, e.g. RAID').setRequired(true))
+      .addStringOption(o => o.setName('dispute_channel_id').setDescription('Dispute Request channel ID').setRequired(true))
+      .addStringOption(o => o.setName('trigger_role_id').setDescription('Role that triggers a dispute').setRequired(true))
+      .addStringOption(o => o.setName('rules_channel_id').setDescription('Rules channel ID (optional)').setRequired(false))
+      .addStringOption(o =>
+        o.setName('trigger_on_close')
+          .setDescription('On close: delete the trigger message (default) or keep it with its final status')
+          .setRequired(false)
+          .addChoices({ name: 'Delete', value: 'delete' }, { name: 'Keep with status', value: 'keep' }))
+      .addStringOption(o => o.setName('dest_guild_id').setDescription('Own destination server ID (optional)').setRequired(false))
+      .addStringOption(o => o.setName('ref_hub_channel_id').setDescription('Own ref hub channel ID (optional)').setRequired(false))
+      .addStringOption(o => o.setName('ref_role_id').setDescription('Own referee role ID (optional)').setRequired(false))
+      .addStringOption(o => o.setName('jr_ref_role_id').setDescription('Own junior referee role ID (optional)').setRequired(false))
+      .addStringOption(o => o.setName('retag_role_id').setDescription('Own retag role ID (optional)').setRequired(false))
+  )
+  .addSubcommand(sc =>
+    sc.setName('origin_remove')
+      .setDescription('Stop listening to an origin server')
+      .addStringOption(o => o.setName('guild_id').setDescription('Origin server ID').setRequired(true))
+  )
+  .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+  .toJSON();
+
+// ---- /standings & /sanctions (ledger reports) ----
+const cmdStandings = new SlashCommandBuilder()
+  .setName('standings')
+  .setDescription('Total penalty points by country.')
+  .addBooleanOption(o => o.setName('public').setDescription('Post visibly in this channel (default: only you)').setRequired(false))
+  .toJSON();
+
+const cmdSanctions = new SlashCommandBuilder()
+  .setName('sanctions')
+  .setDescription('List warnings and penalties for a player.')
+  .addUserOption(o => o.setName('player').setDescription('Player').setRequired(true))
+  .addBooleanOption(o => o.setName('public').setDescription('Post visibly in this channel (default: only you)').setRequired(false))
+  .toJSON();
+
+// ---- /history & /search (open + archived disputes) ----
+const cmdHistory = new SlashCommandBuilder()
+  .setName('history')
+  .setDescription('Past and open disputes for a player or country (pair).')
+  .addUserOption(o => o.setName('player').setDescription('Player').setRequired(false))
+  .addStringOption(o => o.setName('country').setDescription('Country role name or code, e.g. [GB]').setRequired(false))
+  .addStringOption(o => o.setName('vs').setDescription('Second country for a country pair').setRequired(false))
+  .toJSON();
+
+const cmdSearch = new SlashCommandBuilder()
+  .setName('search')
+  .setDescription('Search disputes by issue and date.')
+  .addStringOption(o => o.setName('issue').setDescription('Issue type').setRequired(false).addChoices(...ISSUE_CHOICES))
+  .addStringOption(o => o.setName('since').setDescription('Opened on/after (YYYY-MM-DD)').setRequired(false))
+  .addStringOption(o => o.setName('until').setDescription('Opened on/before (YYYY-MM-DD)').setRequired(false))
+  .toJSON();
+
+// ---- /language (players, in DMs; registered globally) ----
+const buildCmdLanguage = () => new SlashCommandBuilder()
+  .setName('language')
+  .setDescription('Choose the language of the messages the referee bot sends you.')
+  .addStringOption(o =>
+    o.setName('language')
+      .setDescription('Language (auto = from your country role)')
+      .setRequired(true)
+      .addChoices(
+        { name: 'Auto (country role)', value: 'auto' },
+        ...languageChoices().map(([value, name]) => ({ name, value }))
+      ))
+  .setContexts(InteractionContextType.Guild, InteractionContextType.BotDM)
+  .toJSON();
+
+// ---- /appeal (players in DMs, head refs in a dispute thread; registered globally) ----
+const buildCmdAppeal = () => new SlashCommandBuilder()
+  .setName('appeal')
+  .setDescription('Appeal a posted decision: a new referee panel reviews it.')
+  .addStringOption(o => o.setName('reason').setDescription('Why the decision should be reviewed').setRequired(true).setMaxLength(500))
+  .setContexts(InteractionContextType.Guild, InteractionContextType.BotDM)
+  .toJSON();
+
+const cmdAppealOutcome = new SlashCommandBuilder()
+  .setName('appeal_outcome')
+  .setDescription('Record and announce the result of this appeal.')
+  .addStringOption(o =>
+    o.setName('status')
+      .setDescription('Result of the appeal')
+      .setRequired(true)
+      .addChoices(
+        { name: 'Upheld (the decision stands)', value: 'upheld' },
+        { name: 'Overturned (the decision no longer applies)', value: 'overturned' },
+        { name: 'Modified (the decision posted in this thread replaces it)', value: 'modified' }
+      ))
+  .addStringOption(o => o.setName('note').setDescription('Short explanation, shown with the result').setRequired(false).setMaxLength(500))
+  .toJSON();
+
+// ---- /template (reload decision templates) ----
+const cmdTemplate = new SlashCommandBuilder()
+  .setName('template')
+  .setDescription('Manage decision templates.')
+  .addSubcommand(sc =>
+    sc.setName('reload')
+      .setDescription('Reload the decision template file and refresh /decision choices')
+  )
+  .toJSON();
+
+// Rebuilt on each registration so template reloads show up in /decision
+function buildSlashCommands() {
   return [
-    `${disputer} ${opponent}`,
-    `After reviewing the match dispute set by ${raiser} regarding ${issue}. The Referees team has decided:`
+    cmdSetPlayers, cmdSetIssue, cmdSet, cmdMessage,
+    cmdCountryPost, cmdClose, cmdRemoveConflicts, cmdRetagRefs, cmdEvidence, cmdTranscript, cmdMerge,
+    cmdClaim, cmdHandoff, cmdRecuse, cmdConflict, cmdAppealOutcome, cmdStatus,
+    buildCmdDecision(), buildCmdDecisionEdit(), cmdDecisionRetract, cmdVote, cmdVoteClose, cmdResync, cmdConfig, cmdStandings, cmdSanctions,
+    cmdHistory, cmdSearch,
+    cmdTemplate
   ];
 }
 
+// ====== DECISION TEMPLATES (decision-templates.json) ======
+// Rulings live in a data file: header/footer lines, team-rule texts and one entry per
+// /decision outcome with its issue, rule clause, required fields, lines and ledger sanctions.
+const DECISION_TEMPLATES_PATH = (process.env.DECISION_TEMPLATES_PATH ?? '').trim() || './decision-templates.json';
+
+// Throws with every problem listed, so a bad edit never replaces working templates
+function loadDecisionTemplates() {
+  const data = readJsonFile(DECISION_TEMPLATES_PATH, null);
+  if (!data) throw new Error(`${DECISION_TEMPLATES_PATH} is missing or empty`);
+  const errors = validateTemplates(data, { issues: ISSUE_CHOICES.map(c => c.value), votes: Object.keys(VOTE_CHOICES) });
+  if (errors.length) throw new Error(`${DECISION_TEMPLATES_PATH}:\n  • ${errors.join('\n  • ')}`);
+  return data;
+}
+
+let decisionTemplates;
+try {
+  decisionTemplates = loadDecisionTemplates();
+} catch (e) {
+  console.error('❌ Invalid decision templates:', e?.message || e);
+  process.exit(1);
+}
+
+try {
+  loadLocales();
+} catch (e) {
+  console.error('❌ Invalid locales:', e?.message || e);
+  process.exit(1);
+}
+
+const findTemplate = id => decisionTemplates.templates.find(t => t.id === id) || null;
+const decisionOutcomeChoices = () => decisionTemplates.templates.map(t => ({ name: t.label, value: t.id }));
+const outcomeLabel = id => findTemplate(id)?.label || id;
+
+// Required template fields not yet set on the thread
+function missingTemplateFields(outcome, meta) {
+  return (findTemplate(outcome)?.required || []).filter(f => !meta[f]);
+}
+
 function getRulesChannelMention() {
-  return RULES_CHANNEL_ID ? `<#${RULES_CHANNEL_ID}>` : '📓rules-for-worlds';
+  return config.rulesChannelId ? `<#${config.rulesChannelId}>` : '📓rules-for-worlds';
 }
 
-function buildDecisionText(meta, opts, raiserId) {
+function decisionVars(meta, opts, raiserId) {
   const disputer = mention(meta.p1Id), opponent = mention(meta.p2Id);
   const p1c = meta.playerCountry?.name || 'Disputer country';
   const p2c = meta.opponentCountry?.name || 'Opponent country';
+  return {
+    disputer,
+    opponent,
+    raiser: mention(raiserId),
+    issue: meta.issue || '(issue)',
+    disputerCountry: p1c,
+    opponentCountry: p2c,
+    favourCountry: (opts.favour === 'p1_country') ? p1c
+                 : (opts.favour === 'p2_country') ? p2c
+                 : '(country)',
+    penaltyAgainst: (opts.penalty_against === 'p1_country') ? p1c
+                  : (opts.penalty_against === 'p2_country') ? p2c
+                  : '(country)',
+    deviceUser: (opts.device_player === 'p1') ? disputer
+              : (opts.device_player === 'p2') ? opponent
+              : '@player',
+    teamRule: decisionTemplates.teamRules?.[opts.team_rule] || '',
+    rules: getRulesChannelMention(),
+    schedule_window: opts.schedule_window || '24 hours',
+    pokemon: opts.pokemon || '(Pokémon)',
+    old_move: opts.old_move || '(old move)',
+    new_move: opts.new_move || '(new move)',
+  };
+}
 
-  const header = decisionHeader(meta, raiserId, null);
-  const lines = [];
-
-  const favourCountry = (opts.favour === 'p1_country') ? p1c
-                        : (opts.favour === 'p2_country') ? p2c
-                        : '(country)';
-  const deviceUser = (opts.device_player === 'p1') ? disputer
-                    : (opts.device_player === 'p2') ? opponent
-                    : '@player';
-  const penaltyAgainst = (opts.penalty_against === 'p1_country') ? p1c
-                        : (opts.penalty_against === 'p2_country') ? p2c
-                        : '(country)';
-
-  switch (opts.outcome) {
-    // --- Lag ---
-    case 'lag_rematch':
-      lines.push('A **rematch will be granted**.');
-      lines.push(...teamRuleLines(opts.team_rule));
-      break;
-    case 'lag_no_rematch':
-      lines.push('A **rematch will NOT be granted**.');
-      break;
-    case 'lag_win_p1':
-      lines.push(`The **win is awarded to ${disputer}**. The remaining games are still to be played (if applicable).`);
-      lines.push(`The score is 1-0 in favour of the Disputer. Please update the score when available.`);
-      break;
-    case 'lag_win_p2':
-      lines.push(`The **win is awarded to ${opponent}**. The remaining games are still to be played (if applicable).`);
-      lines.push(`The score is 1-0 in favour of the Opponent. Please update the score when available.`);
-      break;
+// Players' languages other than English that have a decision translation
+function decisionLanguages(meta) {
+  const langs = [
+    languageForUser(meta.p1Id, meta.playerCountry?.name),
+    languageForUser(meta.p2Id, meta.opponentCountry?.name)
+  ];
+  return [...new Set(langs)].filter(lang => decisionCatalog(lang));
+}
 
-    // --- Communication ---
-    case 'comm_bad_1':
-    case 'comm_bad':
-      lines.push('**Did not communicate sufficiently.**');
-      lines.push(`Subsequent to 6.1, a penalty point is issued in favour of **${favourCountry}**.`);
-      lines.push(`The games must be scheduled within **${opts.schedule_window || '24 hours'}**. All games are to be played.`);
-      break;
+// Translated ruling, or null when the language has no text for this outcome
+function buildTranslatedText(lang, vars, opts) {
+  const cat = decisionCatalog(lang);
+  const lines = cat?.templates?.[opts.outcome];
+  if (!lines) return null;
+  const localVars = { ...vars, teamRule: cat.teamRules?.[opts.team_rule] || vars.teamRule };
+  return renderDecision(cat.header || [], lines, cat.footer || [], localVars);
+}
 
-    case 'comm_bad_3':
-      lines.push('**Did not communicate sufficiently (both opponents in the pair).**');
-      lines.push(`Subsequent to 6.1, **3 penalty points** are issued in favour of **${favourCountry}**.`);
-      lines.push(`The games must be scheduled within **${opts.schedule_window || '24 hours'}**. All games are to be played.`);
-      break;
+function buildDecisionText(meta, opts, raiserId) {
+  const vars = decisionVars(meta, opts, raiserId);
+  const template = findTemplate(opts.outcome);
+  let text = renderDecision(decisionTemplates.header, template?.lines || ['Decision recorded.'], decisionTemplates.footer, vars);
+
+  // Translations go under the English original, as long as the post stays within one message
+  if (opts.translate && template) {
+    for (const lang of decisionLanguages(meta)) {
+      const translated = buildTranslatedText(lang, vars, opts);
+      const block = translated && `\n\n———\n🌐 **${languageName(lang)}**\n${translated}`;
+      if (block && text.length + block.length <= 2000) text += block;
+    }
+  }
+  return text;
+}
 
-    case 'comm_invalid':
-      lines.push('The dispute is **ruled invalid** under 6.1.');
-      lines.push('Both players are to communicate and agree a new time to battle within the next 24 hours.');
-      lines.push('If scheduling or communication issues persist please contact team captains first.');
-      break;
+// ====== SANCTIONS LEDGER ======
+// What a ruling issues comes from its template's `sanctions`. `side` says who it lands on:
+//   p1 / p2           -> that player (and their country)
+//   device            -> the player picked in device_player
+//   unfavoured        -> the country NOT picked in favour (comms rulings award the other side)
+//   penalty_against   -> the country picked in penalty_against
+
+// Resolve a sanction side to { playerId, country } for this thread
+function sanctionTarget(meta, opts, side) {
+  const p1 = { playerId: meta.p1Id || null, country: meta.playerCountry?.name || null };
+  const p2 = { playerId: meta.p2Id || null, country: meta.opponentCountry?.name || null };
+  const countryOnly = t => ({ playerId: null, country: t.country });
+  switch (side) {
+    case 'p1': return p1;
+    case 'p2': return p2;
+    case 'device':
+      return opts.device_player === 'p1' ? p1 : opts.device_player === 'p2' ? p2 : { playerId: null, country: null };
+    case 'unfavoured':
+      return opts.favour === 'p1_country' ? countryOnly(p2)
+           : opts.favour === 'p2_country' ? countryOnly(p1)
+           : { playerId: null, country: null };
+    case 'penalty_against':
+      return opts.penalty_against === 'p1_country' ? countryOnly(p1)
+           : opts.penalty_against === 'p2_country' ? countryOnly(p2)
+           : { playerId: null, country: null };
+    default:
+      return { playerId: null, country: null };
+  }
+}
 
-    // --- Device Issue ---
-    case 'dev_rematch':
-      lines.push('A **rematch will be granted** due to a device issue.');
-      lines.push(...teamRuleLines(opts.team_rule));
-      lines.push(`A warning is issued to ${deviceUser}.`);
-      break;
-    case 'dev_no_rematch':
-      lines.push('A **rematch will NOT be granted** (device issue).');
-      lines.push(`A warning is issued to ${deviceUser}.`);
-      break;
-    case 'dev_win_p1':
-      lines.push(`The **win is awarded to ${disputer}** (device issue on opponent).`);
-      lines.push(`A warning is issued to ${deviceUser}.`);
-      break;
-    case 'dev_win_p2':
-      lines.push(`The **win is awarded to ${opponent}** (device issue on opponent).`);
-      lines.push(`A warning is issued to ${deviceUser}.`);
-      break;
+// Save one ledger entry per sanction in a posted decision; returns the new entries
+function recordSanctions(threadId, meta, opts, postedMessage, decisionId = null) {
+  const at = Date.now();
+  const template = findTemplate(opts.outcome);
+  const entries = (template?.sanctions || []).map((s, i) => ({
+    id: `${threadId}-${at}-${i}`,
+    threadId,
+    decisionId,
+    outcome: opts.outcome,
+    issue: meta.issue || null,
+    kind: s.kind,
+    points: s.points || 0,
+    clause: s.clause || template.clause || null,
+    ...sanctionTarget(meta, opts, s.side),
+    decisionUrl: postedMessage?.url || null,
+    originGuildId: meta.originGuildId || null,
+    at
+  }));
+  for (const e of entries) sanctionLedger.set(e.id, e);
+  return entries;
+}
 
-    // --- No Show ---
-    case 'ns_p1_1':
-      lines.push(`${disputer} **failed to show in time**. Subsequent to 6.2.4 the penalty is **1 penalty point**.`);
-      lines.push('The remaining games are to be played.');
-      break;
-    case 'ns_p2_1':
-      lines.push(`${opponent} **failed to show in time**. Subsequent to 6.2.4 the penalty is **1 penalty point**.`);
-      lines.push('The remaining games are to be played.');
-      break;
-    case 'ns_p1_3':
-      lines.push(`${disputer} **failed to show in time**. Subsequent to 6.2.5 (last 24 hours) the penalty is **3 penalty points**.`);
-      lines.push('The remaining games are to be played.');
-      break;
-    case 'ns_p2_3':
-      lines.push(`${opponent} **failed to show in time**. Subsequent to 6.2.5 (last 24 hours) the penalty is **3 penalty points**.`);
-      lines.push('The remaining games are to be played.');
-      break;
+// Drop the ledger entries of one decision (edited or retracted rulings)
+function removeSanctionsFor(decision) {
+  for (const [id, e] of sanctionLedger) {
+    if (e.decisionId === decision.id || (!e.decisionId && decision.url && e.decisionUrl === decision.url)) {
+      sanctionLedger.delete(id);
+    }
+  }
+}
 
-    // --- Wrong Pokémon or Moveset ---
-    case 'wp_pokemon':
-      lines.push(`An **unregistered Pokémon** was used (${opts.pokemon || '(Pokémon)'}).`);
-      lines.push(`Subsequent to 2.5.1 the outcome is **1 Penalty Point** on the Global Score against **${penaltyAgainst}**.`);
-      lines.push(`The matches where ${opts.pokemon || '(the Pokémon)'} was used must be replayed.`);
-      lines.push(`${disputer} and ${opponent} must only use the **registered Pokémon** in those games and with the rest of their opponents.`);
-      break;
-    case 'wp_moveset':
-      lines.push(`An **illegal moveset change** was used (${opts.old_move || '(old move)'} → ${opts.new_move || '(new move)'}; ${opts.pokemon || '(Pokémon)'}).`);
-      lines.push(`Subsequent to 2.5.1 the outcome is **1 Penalty Point** on the Global Score against **${penaltyAgainst}**.`);
-      lines.push(`The matches where ${opts.new_move || '(the new move)'} was used must be replayed.`);
-      lines.push(`Only **${opts.old_move || '(the old move)'}** is allowed in those games and with the rest of the opponents.`);
-      break;
+function ledgerLine(e) {
+  const who = [e.playerId ? mention(e.playerId) : null, e.country].filter(Boolean).join(' / ') || 'Unknown';
+  if (e.kind === 'penalty') return `${e.points} pt (${e.clause}) → ${who}`;
+  if (e.kind === 'warning') return `Warning → ${who}`;
+  return `Win awarded → ${who}`;
+}
 
-    default:
-      lines.push('Decision recorded.');
+// ====== DECISION POSTING ======
+function decisionOptsFrom(meta, outcome) {
+  return {
+    outcome,
+    team_rule: meta.team_rule,
+    favour: meta.favour,
+    schedule_window: meta.schedule_window,
+    device_player: meta.device_player,
+    pokemon: meta.pokemon,
+    old_move: meta.old_move,
+    new_move: meta.new_move,
+    penalty_against: meta.penalty_against,
+    translate: Boolean(meta.translate)
+  };
+}
+
+// Opts given with /decision or /decision_edit. They are copied into thread meta (so later posts
+// don't need re-entry) only when the preview is confirmed; Cancel leaves meta untouched.
+function decisionOptionOverrides(interaction) {
+  const out = {};
+  for (const name of DECISION_META_OPTIONS) {
+    const v = interaction.options.getString(name, false);
+    if (v) out[name] = v;
   }
+  const translate = interaction.options.getBoolean('translate', false);
+  if (translate !== null) out.translate = translate;
+  return out;
+}
+
+// target: override -> origin guild country chan -> null (= the thread itself)
+async function resolveDecisionTarget(meta, overrideChan = null) {
+  let targetChannel = overrideChan;
+  if (!targetChannel) {
+    const originId = meta.originGuildId;
+    const originGuild = originId ? await client.guilds.fetch(originId).catch(() => null) : null;
+    if (originGuild) {
+      await originGuild.channels.fetch().catch(() => {}); // hydrate cache
+      targetChannel = await findDecisionChannel(
+        originGuild,
+        meta.playerCountry?.name,
+        meta.opponentCountry?.name
+      );
+    }
+  }
+  return targetChannel && targetChannel.type === ChannelType.GuildText ? targetChannel : null;
+}
 
-  lines.push('');
-  lines.push('We would like to remind all parties involved that referees and staff members from countries involved in disputes cannot be involved in the resolution of the dispute.');
-  lines.push('');
-  lines.push('Good luck in your remaining battles.');
+// Render the ruling from thread meta and post it to the resolved target (or the thread),
+// then record it on the thread and in the sanctions ledger.
+// An approved junior-ref draft keeps the options it was drafted with; postedBy is then the approver.
+async function publishDecision(ch, meta, outcome, targetChannel = null, postedBy = null, draft = null) {
+  const raiserId = refThreadToPlayer.get(ch.id);
+  const decisionOpts = draft?.decisionOpts || decisionOptsFrom(meta, outcome);
+  const text = buildDecisionText(meta, decisionOpts, raiserId);
+
+  let posted;
+  if (targetChannel) {
+    posted = await targetChannel.send(text);
+    await ch.send(`📣 Decision posted to <#${targetChannel.id}>.`);
+  } else {
+    posted = await ch.send(text);
+  }
 
-  return [...header, '', ...lines].join('\n');
+  const at = Date.now();
+  const decision = {
+    id: `${ch.id}-${at}`,
+    outcome,
+    url: posted?.url || null,
+    channelId: posted?.channelId || null,
+    messageId: posted?.id || null,
+    postedBy,
+    draftedBy: draft?.draftedBy || postedBy,
+    approvedBy: draft ? postedBy : null,
+    at
+  };
+  meta.decisions = [...(meta.decisions || []), decision];
+  refMeta.set(ch.id, meta);
+  const entries = recordSanctions(ch.id, meta, decisionOpts, posted, decision.id);
+  saveState();
+  if (entries.length) {
+    await ch.send(`🧾 Ledger: ${entries.map(ledgerLine).join(' • ')}`).catch(() => {});
+  }
+  await setDisputeState(ch, meta, 'decided', { by: postedBy });
+  return { posted, entries, decision };
 }
 
-// ====== INTERACTIONS (slash commands) ======
-client.on(Events.InteractionCreate, async (interaction) => {
-  if (!interaction.isChatInputCommand()) return;
+// ====== DECISION DRAFTS (junior referees) ======
+// A junior ref's /decision is posted in the thread as a draft with Approve/Reject buttons and only
+// published once a full referee who is not conflicted approves it.
+// meta.drafts = [{ id, outcome, decisionOpts, targetChannelId, draftedBy, at, messageId, status, reviewedBy?, reviewedAt?, decisionId? }]
 
-  const ch = interaction.channel;
-  const isThread = ch && (ch.type === ChannelType.PrivateThread || ch.type === ChannelType.PublicThread);
-  if (!isThread) return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'Use this inside a **Dispute Thread**.' });
+function draftButtons(draftId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`draft:approve:${draftId}`).setLabel('Approve & publish').setStyle(ButtonStyle.Success),
+    new ButtonBuilder().setCustomId(`draft:reject:${draftId}`).setLabel('Reject').setStyle(ButtonStyle.Danger)
+  );
+}
 
-  const meta = refMeta.get(ch.id) || {};
+async function submitDecisionDraft(ch, meta, pending, userId) {
+  const at = Date.now();
+  const draft = {
+    id: `${ch.id}-${at}`,
+    outcome: pending.outcome,
+    decisionOpts: decisionOptsFrom(meta, pending.outcome), // frozen: later /set changes do not alter the draft
+    targetChannelId: pending.targetChannelId,
+    draftedBy: userId,
+    at,
+    status: 'pending'
+  };
+  const text = buildDecisionText(meta, draft.decisionOpts, refThreadToPlayer.get(ch.id));
+  const where = draft.targetChannelId ? `<#${draft.targetChannelId}>` : 'this thread';
+  const msg = await ch.send({
+    content: previewContent(`📝 **Draft decision** by <@${userId}> — ${outcomeLabel(draft.outcome)} → ${where}. Needs approval by a full referee.`, text),
+    components: [draftButtons(draft.id)],
+    allowedMentions: { parse: [] }
+  });
+  draft.messageId = msg.id;
+  meta.drafts = [...(meta.drafts || []), draft];
+  refMeta.set(ch.id, meta);
+  saveState();
+  return draft;
+}
 
-  if (interaction.commandName === 'set_players') {
-    const p1 = interaction.options.getUser('player1', true);
-    const p2 = interaction.options.getUser('player2', true);
+async function handleDraftReview(interaction) {
+  if (!interaction.isButton()) return;
 
-    meta.p1Id = p1.id; // Disputer
-    meta.p2Id = p2.id; // Opponent
-    refMeta.set(ch.id, meta);
+  try {
+    const [, verb, draftId] = interaction.customId.split(':');
+    const ch = interaction.channel;
+    const meta = refMeta.get(ch?.id);
+    const draft = meta?.drafts?.find(d => d.id === draftId);
+    if (!draft || draft.status !== 'pending') {
+      return interaction.update({ components: [] });
+    }
 
-    // Track open threads for DM routing (both users)
-    addOpenThreadFor(p1.id, ch.id);
-    addOpenThreadFor(p2.id, ch.id);
+    const me = interaction.user.id;
+    const conflict = refConflictReason(interaction.member, meta);
+    const withdrawing = verb === 'reject' && me === draft.draftedBy;
+    let refusal = null;
+    if (!withdrawing) {
+      if (!hasAccess(interaction, 'ref')) refusal = 'Only a full referee can review a draft decision.';
+      else if (me === draft.draftedBy) refusal = 'A second referee has to approve your draft.';
+      else if (me === meta.p1Id || me === meta.p2Id) refusal = 'You are a player in this dispute.';
+      else if (conflict) refusal = `You cannot review this dispute (${conflict}).`;
+    }
+    if (refusal) return interaction.reply({ flags: MessageFlags.Ephemeral, allowedMentions: { parse: [] }, content: refusal });
 
-    await renameThreadByMeta(ch);
-    await purgePlayersFromThread(ch, ch.guild);
+    if (verb === 'approve' && stateRefusal(meta, 'decision')) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, content: stateRefusal(meta, 'decision') });
+    }
 
-    return interaction.reply({
-  content: `Set: **Disputer:** <@${p1.id}>  •  **Opponent:** <@${p2.id}>`,
+    // Claim the draft before any await so a double click cannot publish twice
+    Object.assign(draft, { status: verb === 'approve' ? 'approved' : 'rejected', reviewedBy: me, reviewedAt: Date.now() });
+    refMeta.set(ch.id, meta);
+    saveState();
+    await interaction.update({ components: [] });
+
+    if (verb === 'reject') {
+      await ch.send({
+        content: withdrawing
+          ? `↩️ <@${me}> withdrew their draft decision (${outcomeLabel(draft.outcome)}).`
+          : `❌ <@${me}> rejected the draft decision by <@${draft.draftedBy}> (${outcomeLabel(draft.outcome)}).`,
+        allowedMentions: { parse: [] }
+      });
+      return;
+    }
+
+    const target = draft.targetChannelId ? await client.channels.fetch(draft.targetChannelId).catch(() => null) : null;
+    let decision;
+    try {
+      ({ decision } = await publishDecision(ch, meta, draft.outcome, target, me, draft));
+    } catch (e) {
+      // Nothing was published: hand the draft back so it can be approved again
+      console.error('draft publish error', e);
+      Object.assign(draft, { status: 'pending', reviewedBy: null, reviewedAt: null });
+      refMeta.set(ch.id, meta);
+      saveState();
+      await interaction.message.edit({ components: [draftButtons(draft.id)] }).catch(() => {});
+      return interaction.followUp({
+        flags: MessageFlags.Ephemeral,
+        content: `❌ Could not publish the draft${target ? ` to <#${target.id}>` : ''}. It is still pending; check the bot's permissions and approve it again.`
+      });
+    }
+    draft.decisionId = decision.id;
+    saveState();
+    await ch.send({
+      content: `✅ <@${me}> approved the draft by <@${draft.draftedBy}> — ${outcomeLabel(draft.outcome)}${decision.url ? ` — ${decision.url}` : ''}`,
+      allowedMentions: { parse: [] }
     });
+  } catch (e) {
+    console.error('draft review error', e);
+    const reply = { flags: MessageFlags.Ephemeral, content: '❌ Failed to review that draft.' };
+    return (interaction.replied || interaction.deferred ? interaction.followUp(reply) : interaction.reply(reply)).catch(() => {});
   }
+}
 
-  if (interaction.commandName === 'set_issue') {
-    const issue = interaction.options.getString('issue', true);
-    meta.issue = issue;
-    refMeta.set(ch.id, meta);
+// ====== DECISION PREVIEW / EDIT / RETRACT ======
+// Every decision action is previewed ephemerally and only runs on Confirm.
+const DECISION_ACTION_TTL_MS = 15 * 60 * 1000;
+const pendingDecisionActions = new Map(); // token -> { action: 'post'|'edit'|'retract', threadId, userId, outcome, ... }
 
-    await renameThreadByMeta(ch);
-    return interaction.reply({ content: `Issue set to **${issue}**.` });
-  }
+function stashDecisionAction(token, data) {
+  const now = Date.now();
+  for (const [t, p] of pendingDecisionActions) if (now - p.at > DECISION_ACTION_TTL_MS) pendingDecisionActions.delete(t);
+  pendingDecisionActions.set(token, { ...data, at: now });
+}
 
-  if (interaction.commandName === 'set') {
-    const sub = interaction.options.getSubcommand();
-    try {
-      switch (sub) {
-        case 'players': {
-          const p1 = interaction.options.getUser('disputer', true).id;
-          const p2 = interaction.options.getUser('opponent', true).id;
-          meta.p1Id = p1; meta.p2Id = p2;
-          refMeta.set(ch.id, meta);
-          addOpenThreadFor(p1, ch.id);
-          addOpenThreadFor(p2, ch.id);
-          await renameThreadByMeta(ch);
-          await purgePlayersFromThread(ch, ch.guild);
-          break;
-        }
-        case 'issue': {
-          const issue = interaction.options.getString('value', true);
-          meta.issue = issue;
-          refMeta.set(ch.id, meta);
-          await renameThreadByMeta(ch);
-          break;
-        }
-        case 'countries': {
+function decisionConfirmRow(token, confirmLabel, danger = false) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`dec:confirm:${token}`).setLabel(confirmLabel).setStyle(danger ? ButtonStyle.Danger : ButtonStyle.Success),
+    new ButtonBuilder().setCustomId(`dec:cancel:${token}`).setLabel('Cancel').setStyle(ButtonStyle.Secondary)
+  );
+}
+
+function previewContent(header, text) {
+  const body = `${header}\n\n${text}`;
+  return body.length > 1990 ? body.slice(0, 1989) + '…' : body;
+}
+
+// The Nth decision of a thread (1-based, retracted ones keep their number), or the latest live one
+function findPostedDecision(threadId, meta, n = null) {
+  const list = meta.decisions || [];
+  list.forEach(d => { d.id ||= `${threadId}-${d.at}`; }); // decisions recorded before ids existed
+  const d = n ? list[n - 1] : [...list].reverse().find(x => !x.retractedAt);
+  return d && !d.retractedAt ? { decision: d, number: list.indexOf(d) + 1 } : null;
+}
+
+async function fetchDecisionMessage(d) {
+  const [, , channelId, messageId] = d.channelId && d.messageId
+    ? [null, null, d.channelId, d.messageId]
+    : (d.url?.match(/channels\/(\d+)\/(\d+)\/(\d+)/) || []);
+  if (!channelId || !messageId) return null;
+  const chan = await client.channels.fetch(channelId).catch(() => null);
+  return chan && 'messages' in chan ? chan.messages.fetch(messageId).catch(() => null) : null;
+}
+
+async function editPostedDecision(ch, meta, pending, userId) {
+  const found = findPostedDecision(ch.id, meta, pending.number);
+  if (!found || found.decision.id !== pending.decisionId) return '❌ That decision no longer exists.';
+  const d = found.decision;
+
+  const msg = await fetchDecisionMessage(d);
+  if (!msg) return '❌ Could not find the posted decision message.';
+
+  const decisionOpts = decisionOptsFrom(meta, pending.outcome);
+  await msg.edit(buildDecisionText(meta, decisionOpts, refThreadToPlayer.get(ch.id)));
+
+  const before = d.outcome;
+  Object.assign(d, { outcome: pending.outcome, editedAt: Date.now(), editedBy: userId });
+  removeSanctionsFor(d);
+  const entries = recordSanctions(ch.id, meta, decisionOpts, msg, d.id);
+  refMeta.set(ch.id, meta);
+  saveState();
+
+  await ch.send({
+    content: [
+      `✏️ **Decision #${found.number} edited** by <@${userId}>: ${outcomeLabel(before)} → ${outcomeLabel(pending.outcome)} — ${d.url}`,
+      entries.length ? `🧾 Ledger: ${entries.map(ledgerLine).join(' • ')}` : null
+    ].filter(Boolean).join('\n'),
+    allowedMentions: { parse: [] }
+  });
+  return '✅ Decision updated.';
+}
+
+async function retractPostedDecision(ch, meta, pending, userId) {
+  const found = findPostedDecision(ch.id, meta, pending.number);
+  if (!found || found.decision.id !== pending.decisionId) return '❌ That decision no longer exists.';
+  const d = found.decision;
+
+  const msg = await fetchDecisionMessage(d);
+  if (msg) {
+    await msg.delete().catch(() => msg.edit('🗑️ This decision was withdrawn by the referees.').catch(() => {}));
+  }
+
+  Object.assign(d, { retractedAt: Date.now(), retractedBy: userId, retractReason: pending.reason });
+  removeSanctionsFor(d);
+  refMeta.set(ch.id, meta);
+  saveState();
+
+  await ch.send({
+    content: `🗑️ **Decision #${found.number} retracted** by <@${userId}>: ${outcomeLabel(d.outcome)}\n**Reason:** ${pending.reason}`,
+    allowedMentions: { parse: [] }
+  });
+  if (!findPostedDecision(ch.id, meta)) await setDisputeState(ch, meta, 'under_review', { by: userId, note: 'decision retracted' });
+  return msg ? '✅ Decision withdrawn.' : '✅ Decision marked as withdrawn (the posted message was already gone).';
+}
+
+async function handleDecisionConfirm(interaction) {
+  if (!interaction.isButton()) return;
+
+  try {
+    const [, verb, token] = interaction.customId.split(':');
+    const pending = pendingDecisionActions.get(token);
+    if (!pending || pending.userId !== interaction.user.id) {
+      return interaction.update({ content: 'This preview expired. Run the command again.', components: [] });
+    }
+    pendingDecisionActions.delete(token);
+
+    if (verb === 'cancel') {
+      return interaction.update({ content: '✖️ Cancelled — nothing was changed.', components: [] });
+    }
+
+    await interaction.update({ content: '⏳ Working…', components: [] });
+    const ch = await client.channels.fetch(pending.threadId).catch(() => null);
+    const meta = refMeta.get(pending.threadId);
+    if (!ch || !meta) return interaction.editReply('❌ This dispute is no longer open.');
+    const refusedByState = stateRefusal(meta, pending.action === 'post' ? 'decision' : `decision_${pending.action}`);
+    if (refusedByState) return interaction.editReply(refusedByState);
+    if (pending.options) {
+      Object.assign(meta, pending.options);
+      refMeta.set(ch.id, meta);
+      saveState();
+    }
+
+    if (pending.action === 'post' && pending.draft) {
+      await submitDecisionDraft(ch, meta, pending, interaction.user.id);
+      return interaction.editReply(`📝 Draft submitted: ${outcomeLabel(pending.outcome)}. A full referee has to approve it before it is published.`);
+    }
+    if (pending.action === 'post') {
+      const target = pending.targetChannelId ? await client.channels.fetch(pending.targetChannelId).catch(() => null) : null;
+      await publishDecision(ch, meta, pending.outcome, target, interaction.user.id);
+
+      // Posted from a vote result: record it and retire that select menu
+      const vote = pending.voteMessageId ? votes.get(pending.voteMessageId) : null;
+      if (vote) {
+        vote.decisionOutcome = pending.outcome;
+        saveState();
+      }
+      if (pending.sourceMessageId) {
+        const src = await ch.messages.fetch(pending.sourceMessageId).catch(() => null);
+        if (src) await src.edit({ components: [] }).catch(() => {});
+      }
+      return interaction.editReply(`✅ Decision posted: ${outcomeLabel(pending.outcome)}.`);
+    }
+    if (pending.action === 'edit') return interaction.editReply(await editPostedDecision(ch, meta, pending, interaction.user.id));
+    if (pending.action === 'retract') return interaction.editReply(await retractPostedDecision(ch, meta, pending, interaction.user.id));
+  } catch (e) {
+    console.error('decision confirm error', e);
+    return interaction.editReply('❌ Failed to complete that decision action.').catch(() => {});
+  }
+}
+
+function missingFieldsText(outcome, missing) {
+  return `Cannot use **${outcomeLabel(outcome)}**: missing ${missing.map(f => `\`${f}\``).join(', ')}. ` +
+    'Pass them as `/decision` options or set them with `/set`.';
+}
+
+// Ephemeral preview + Post/Cancel for a new decision (junior refs submit a draft instead)
+async function replyDecisionPreview(interaction, ch, meta, outcome, targetChannel, extra = {}) {
+  const token = interaction.id;
+  const draft = !hasAccess(interaction, 'ref');
+  stashDecisionAction(token, {
+    action: 'post',
+    threadId: ch.id,
+    userId: interaction.user.id,
+    outcome,
+    targetChannelId: targetChannel?.id || null,
+    draft,
+    ...extra
+  });
+  const text = buildDecisionText(meta, decisionOptsFrom(meta, outcome), refThreadToPlayer.get(ch.id));
+  const where = targetChannel ? `<#${targetChannel.id}>` : 'this thread';
+  const header = draft
+    ? `👀 **Preview** — ${outcomeLabel(outcome)} → a draft for a full referee to approve, then posted to ${where}.`
+    : `👀 **Preview** — ${outcomeLabel(outcome)} → will post to ${where}.`;
+  return interaction.reply({
+    flags: MessageFlags.Ephemeral,
+    content: previewContent(header, text),
+    components: [decisionConfirmRow(token, draft ? 'Submit draft' : 'Post')],
+    allowedMentions: { parse: [] }
+  });
+}
+
+// ====== VOTE TALLY ======
+const stripVs = e => String(e || '').replace(/\uFE0F/g, '');
+
+// Eligible voter = current holder of the thread's referee roles, not a Disputer/Opponent
+// and not conflicted by either dispute country. Returns a cached check(userId) -> reason.
+async function makeVoterCheck(threadId) {
+  const meta = refMeta.get(threadId) || disputeArchive.get(threadId) || {};
+  const { guildId, refRoleId, jrRefRoleId } = destinationForThread(threadId);
+  const destGuild = await client.guilds.fetch(guildId).catch(() => null);
+  const players = new Set([meta.p1Id, meta.p2Id].filter(Boolean));
+
+  const eligibility = new Map(); // userId -> 'ok' | 'player' | 'not_ref' | 'conflicted'
+  async function check(userId) {
+    if (eligibility.has(userId)) return eligibility.get(userId);
+    let why = 'ok';
+    if (players.has(userId)) why = 'player';
+    else {
+      const gm = destGuild ? await destGuild.members.fetch(userId).catch(() => null) : null;
+      const isRef = gm && (gm.roles.cache.has(refRoleId) || (jrRefRoleId && gm.roles.cache.has(jrRefRoleId)));
+      if (!isRef) why = 'not_ref';
+      else if (refConflictReason(gm, meta)) why = 'conflicted';
+    }
+    eligibility.set(userId, why);
+    return why;
+  }
+  check.seen = eligibility;
+  return check;
+}
+
+// How many refs could vote right now (the Y in "X of Y refs have voted")
+async function countEligibleVoters(threadId) {
+  const meta = refMeta.get(threadId) || {};
+  const { guildId, refRoleId, jrRefRoleId } = destinationForThread(threadId);
+  const destGuild = await client.guilds.fetch(guildId).catch(() => null);
+  if (!destGuild) return 0;
+  const players = new Set([meta.p1Id, meta.p2Id].filter(Boolean));
+  const all = await destGuild.members.fetch().catch(() => null);
+  return all?.filter(m =>
+    !m.user.bot &&
+    (m.roles.cache.has(refRoleId) || (jrRefRoleId && m.roles.cache.has(jrRefRoleId))) &&
+    !players.has(m.id) &&
+    !refConflictReason(m, meta)
+  ).size ?? 0;
+}
+
+function tallyIgnored(check) {
+  const ignored = { player: 0, not_ref: 0, conflicted: 0 };
+  for (const why of check.seen.values()) if (why !== 'ok') ignored[why]++;
+  return ignored;
+}
+
+// Count eligible refs only. Reaction votes read the message; secret votes read the stored ballots
+// (re-checked at close, so a ref who lost the role or became conflicted no longer counts).
+async function tallyVote(messageId, vote) {
+  const chan = await client.channels.fetch(vote.channelId).catch(() => null);
+  const msg = chan && 'messages' in chan ? await chan.messages.fetch(messageId).catch(() => null) : null;
+  const check = await makeVoterCheck(vote.threadId);
+
+  if (vote.mode === 'buttons') {
+    const counts = Object.fromEntries(vote.keys.map(k => [k, 0]));
+    let valid = 0;
+    for (const [userId, ballot] of Object.entries(vote.ballots || {})) {
+      if (await check(userId) !== 'ok') continue;
+      counts[ballot.key]++;
+      valid++;
+    }
+    return { counts, valid, spoiled: 0, ignored: tallyIgnored(check), url: msg?.url || null };
+  }
+
+  if (!msg) return null;
+
+  const picks = new Map(); // eligible userId -> Set<key>
+  for (const key of vote.keys) {
+    const reaction = msg.reactions.cache.find(r => stripVs(r.emoji.name) === stripVs(VOTE_CHOICES[key]?.emoji));
+    if (!reaction) continue;
+    const users = await reaction.users.fetch({ limit: 100 }).catch(() => null);
+    for (const u of users?.values() ?? []) {
+      if (u.bot) continue;
+      if (await check(u.id) !== 'ok') continue;
+      const set = picks.get(u.id) ?? new Set();
+      set.add(key);
+      picks.set(u.id, set);
+    }
+  }
+
+  // One ref, one vote: reacting to several options spoils the ballot
+  const counts = Object.fromEntries(vote.keys.map(k => [k, 0]));
+  let spoiled = 0;
+  for (const set of picks.values()) {
+    if (set.size === 1) counts[[...set][0]]++;
+    else spoiled++;
+  }
+
+  return { counts, valid: picks.size - spoiled, spoiled, ignored: tallyIgnored(check), url: msg.url };
+}
+
+const rankVote = (vote, tally) => vote.keys.map(k => [k, tally.counts[k]]).sort((a, b) => b[1] - a[1]);
+
+// Winning option key, or null on no quorum / no votes / tie
+function voteWinner(vote, tally) {
+  if (tally.valid < vote.quorum) return null;
+  const ranked = rankVote(vote, tally);
+  const top = ranked[0]?.[1] ?? 0;
+  const leaders = ranked.filter(([, n]) => n === top && n > 0);
+  return leaders.length === 1 ? leaders[0][0] : null;
+}
+
+function voteResultText(vote, tally, closedBy) {
+  const ranked = rankVote(vote, tally);
+  const top = ranked[0]?.[1] ?? 0;
+  const leaders = ranked.filter(([, n]) => n === top && n > 0).map(([k]) => VOTE_CHOICES[k].label);
+
+  let headline;
+  if (tally.valid < vote.quorum) headline = `❌ **Quorum not reached** (${tally.valid}/${vote.quorum} eligible votes) — no result.`;
+  else if (!leaders.length) headline = '❌ **No eligible votes.**';
+  else if (leaders.length > 1) headline = `⚖️ **Tie** between ${leaders.map(l => `**${l}**`).join(' and ')} (${top} each).`;
+  else headline = `✅ **${leaders[0]}** wins with ${top} vote(s).`;
+
+  const ignoredParts = [
+    tally.ignored.conflicted ? `${tally.ignored.conflicted} conflicted` : null,
+    tally.ignored.not_ref ? `${tally.ignored.not_ref} non-referee` : null,
+    tally.ignored.player ? `${tally.ignored.player} player` : null,
+    tally.spoiled ? `${tally.spoiled} voted for several options` : null,
+  ].filter(Boolean);
+
+  return [
+    `🗳️ **Vote closed: ${vote.title}**${closedBy ? ` (by <@${closedBy}>)` : ' (deadline reached)'}`,
+    headline,
+    '',
+    ...ranked.map(([k, n]) => `${VOTE_CHOICES[k].emoji} ${VOTE_CHOICES[k].label}: **${n}**`),
+    '',
+    `Eligible votes: ${tally.valid} • Quorum: ${vote.quorum}${ignoredParts.length ? ` • Not counted: ${ignoredParts.join(', ')}` : ''}`,
+    tally.url ? `Vote: ${tally.url}` : null
+  ].filter(l => l !== null).join('\n');
+}
+
+// Tally, post the result in the dispute thread, and mark the vote closed. Returns false if the vote message is gone.
+async function closeVote(messageId, closedBy = null) {
+  const vote = votes.get(messageId);
+  if (!vote || vote.closedAt) return false;
+
+  const tally = await tallyVote(messageId, vote);
+  vote.closedAt = Date.now();
+  if (!tally) {
+    vote.result = { missing: true };
+    saveState();
+    return false;
+  }
+
+  const winner = voteWinner(vote, tally);
+  vote.result = { counts: tally.counts, valid: tally.valid, spoiled: tally.spoiled, ignored: tally.ignored, winner };
+  saveState();
+
+  if (vote.mode === 'buttons') {
+    const chan = await client.channels.fetch(vote.channelId).catch(() => null);
+    const msg = chan && 'messages' in chan ? await chan.messages.fetch(messageId).catch(() => null) : null;
+    if (msg) await msg.edit({ content: secretVoteContent(vote), components: [] }).catch(() => {});
+  }
+
+  const text = voteResultText(vote, tally, closedBy);
+  const thread = await client.channels.fetch(vote.threadId).catch(() => null);
+  const followUp = winner ? voteDecisionSelect(messageId, vote.threadId, winner) : null;
+  if (thread) {
+    await thread.send({ content: text, components: followUp ? [followUp] : [], allowedMentions: { parse: [] } }).catch(() => {});
+  }
+  if (vote.channelId !== vote.threadId) {
+    const chan = await client.channels.fetch(vote.channelId).catch(() => null);
+    if (chan) await chan.send({ content: text, allowedMentions: { parse: [] } }).catch(() => {});
+  }
+  return true;
+}
+
+// ----- Secret (button) ballots -----
+function secretVoteContent(vote) {
+  const cast = Object.keys(vote.ballots || {}).length;
+  return [
+    vote.here ? '@here\n' : null,
+    `**${vote.title}**`,
+    '',
+    ...vote.keys.map(k => `${VOTE_CHOICES[k].emoji} : ${VOTE_CHOICES[k].label}`),
+    '',
+    vote.closedAt
+      ? `🔒 **Vote closed.** ${cast} of ${vote.eligibleCount} refs voted — result posted in the dispute thread.`
+      : '🔒 Secret ballot — results stay hidden until the vote closes. You may change your vote **once**.',
+    vote.closedAt ? null : `🗳️ **${cast} of ${vote.eligibleCount}** refs have voted.`,
+    !vote.closedAt && vote.deadline ? `⏳ Closes <t:${Math.floor(vote.deadline / 1000)}:R>.` : null,
+  ].filter(l => l !== null).join('\n');
+}
+
+function secretVoteButtons(keys) {
+  const buttons = keys.map(k =>
+    new ButtonBuilder()
+      .setCustomId(`avote:${k}`)
+      .setLabel(VOTE_CHOICES[k].label)
+      .setEmoji(VOTE_CHOICES[k].emoji)
+      .setStyle(ButtonStyle.Secondary)
+  );
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 5) rows.push(new ActionRowBuilder().addComponents(buttons.slice(i, i + 5)));
+  return rows;
+}
+
+const VOTE_REFUSALS = {
+  player: 'Players in this dispute cannot vote.',
+  not_ref: 'Only referees can vote.',
+  conflicted: 'You are conflicted for this dispute and cannot vote.',
+};
+
+async function handleVoteButton(interaction) {
+  try {
+    if (!interaction.isButton()) return;
+
+    const vote = votes.get(interaction.message.id);
+    const key = interaction.customId.slice('avote:'.length);
+    if (!vote || vote.mode !== 'buttons' || !vote.keys.includes(key)) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'This vote is no longer active.' });
+    }
+    if (vote.closedAt) return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'This vote is closed.' });
+
+    const check = await makeVoterCheck(vote.threadId);
+    const why = await check(interaction.user.id);
+    if (why !== 'ok') return interaction.reply({ flags: MessageFlags.Ephemeral, content: VOTE_REFUSALS[why] });
+
+    const uid = interaction.user.id;
+    const prev = vote.ballots[uid];
+    if (prev?.key === key) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, content: `Your vote is already **${VOTE_CHOICES[key].label}**.` });
+    }
+    if (prev && prev.changes >= 1) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, content: `You already changed your vote once — it stays **${VOTE_CHOICES[prev.key].label}**.` });
+    }
+
+    vote.ballots[uid] = { key, changes: prev ? prev.changes + 1 : 0, at: Date.now() };
+    saveState();
+
+    await interaction.reply({
+      flags: MessageFlags.Ephemeral,
+      content: prev
+        ? `Vote changed to **${VOTE_CHOICES[key].label}**. This was your one change.`
+        : `You voted **${VOTE_CHOICES[key].label}**. You may change it once.`
+    });
+    await interaction.message.edit({ content: secretVoteContent(vote), allowedMentions: { parse: [] } }).catch(() => {});
+  } catch (e) {
+    console.error('secret vote button error', e);
+  }
+}
+
+// ----- From a vote result straight into the matching /decision template -----
+function voteDecisionSelect(voteMessageId, threadId, winnerKey) {
+  // Candidate outcomes: templates for this issue that list the winning vote option
+  const issue = refMeta.get(threadId)?.issue;
+  const outcomes = decisionTemplates.templates
+    .filter(t => t.issue === issue && (t.vote || []).includes(winnerKey))
+    .map(t => t.id);
+  if (!outcomes.length) return null;
+
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`vote-decision:${voteMessageId}`)
+    .setPlaceholder('Post the matching decision…')
+    .addOptions(outcomes.map(value => ({ label: outcomeLabel(value).slice(0, 100), value })));
+  return new ActionRowBuilder().addComponents(menu);
+}
+
+async function handleVoteDecisionSelect(interaction) {
+  try {
+    if (!interaction.isStringSelectMenu()) return;
+    if (!hasAccess(interaction, 'ref')) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'Only full referees can post decisions.' });
+    }
+
+    const ch = interaction.channel;
+    const meta = refMeta.get(ch?.id);
+    if (!meta?.p1Id || !meta?.p2Id || !meta?.issue) {
+      return interaction.reply({
+        flags: MessageFlags.Ephemeral,
+        content: 'Cannot post decision: missing Disputer, Opponent, or Issue. Use `/set players` and `/set issue` first.'
+      });
+    }
+
+    const outcome = interaction.values?.[0];
+    const missing = missingTemplateFields(outcome, meta);
+    if (missing.length) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, content: missingFieldsText(outcome, missing) });
+    }
+    const targetChannel = await resolveDecisionTarget(meta);
+    return replyDecisionPreview(interaction, ch, meta, outcome, targetChannel, {
+      voteMessageId: interaction.customId.slice('vote-decision:'.length),
+      sourceMessageId: interaction.message.id
+    });
+  } catch (e) {
+    console.error('vote-decision select error', e);
+  }
+}
+
+// Close votes whose deadline passed (runs on an interval; deadlines survive restarts)
+async function closeDueVotes() {
+  const now = Date.now();
+  for (const [id, v] of votes) {
+    if (v.closedAt || !v.deadline || v.deadline > now) continue;
+    await closeVote(id).catch(e => console.error('vote deadline close error', e));
+  }
+}
+
+// ====== TRANSCRIPTS ======
+// Whole ref thread (mirrored DMs, bot DMs, votes, decisions) as Markdown + HTML, saved under
+// TRANSCRIPT_DIR and, on close, posted to the transcript archive channel.
+const TRANSCRIPT_DIR = (process.env.TRANSCRIPT_DIR ?? '').trim() || './data/transcripts';
+
+// <@id>/<@&id>/<#id> -> readable names (the transcript must make sense outside Discord)
+function plainContent(msg) {
+  return (msg.content || '')
+    .replace(/<@!?(\d+)>/g, (m, id) => {
+      const u = msg.mentions.users.get(id) || client.users.cache.get(id);
+      return u ? `@${u.username}` : m;
+    })
+    .replace(/<@&(\d+)>/g, (m, id) => `@${msg.guild?.roles.cache.get(id)?.name || 'role'}`)
+    .replace(/<#(\d+)>/g, (m, id) => `#${client.channels.cache.get(id)?.name || id}`);
+}
+
+async function collectTranscript(thread, meta, closedAt = null) {
+  const messages = await fetchThreadHistory(thread, 50);
+  const userName = async id => {
+    if (!id) return '—';
+    const u = await client.users.fetch(id).catch(() => null);
+    return u ? `${u.username} (${id})` : id;
+  };
+
+  const decisions = (meta.decisions || []).map((d, i) => ({
+    number: i + 1,
+    label: outcomeLabel(d.outcome),
+    url: d.url,
+    at: d.at,
+    status: d.retractedAt ? `retracted (${d.retractReason || 'no reason'})` : d.editedAt ? 'edited' : d.approvedBy ? 'posted (approved draft)' : 'posted'
+  }));
+  const evidence = [];
+  for (const e of [...evidenceLocker.values()].filter(x => x.threadId === thread.id).sort((a, b) => a.number - b.number)) {
+    evidence.push({ number: e.number, kind: e.kind, name: e.fileName, url: e.url, sha256: e.sha256, uploader: await userName(e.uploaderId), at: e.at });
+  }
+
+  return {
+    title: thread.name,
+    threadId: thread.id,
+    url: threadUrl(thread.guildId, thread.id),
+    exportedAt: Date.now(),
+    closedAt,
+    facts: [
+      ['Disputer', `${await userName(meta.p1Id)} — ${meta.playerCountry?.name || '—'}`],
+      ['Opponent', `${await userName(meta.p2Id)} — ${meta.opponentCountry?.name || '—'}`],
+      ['Issue', meta.issue || '—'],
+      ['Lead referee', meta.lead?.userId ? await userName(meta.lead.userId) : '—'],
+      ['Origin server', client.guilds.cache.get(meta.originGuildId)?.name || meta.originGuildId || '—'],
+      ['Opened', meta.openedAt ? new Date(meta.openedAt).toISOString() : '—'],
+      ...(meta.appeal ? [['Appeal of', `${threadUrl(thread.guildId, meta.appeal.of)} — ${APPEAL_OUTCOMES[meta.appeal.status] || 'pending'}`]] : [])
+    ],
+    decisions,
+    evidence,
+    messages: messages.map(m => ({
+      at: m.createdTimestamp,
+      author: m.member?.displayName || m.author?.globalName || m.author?.username || 'Unknown',
+      bot: Boolean(m.author?.bot),
+      content: plainContent(m),
+      attachments: [...m.attachments.values()].map(a => ({ name: a.name, url: a.url })),
+      embeds: m.embeds.map(e => [e.title, e.description].filter(Boolean).join('\n')).filter(Boolean),
+      reactions: [...m.reactions.cache.values()].map(r => `${r.emoji.name} ${r.count}`)
+    }))
+  };
+}
+
+// Render, save to disk and return Discord-ready files
+async function exportTranscript(thread, meta, closedAt = null) {
+  const data = await collectTranscript(thread, meta, closedAt);
+  const base = `${slug(thread.name) || 'dispute'}-${thread.id}`;
+  const md = renderMarkdown(data);
+  const html = renderHtml(data);
+
+  fs.mkdirSync(TRANSCRIPT_DIR, { recursive: true });
+  const mdPath = path.join(TRANSCRIPT_DIR, `${base}.md`);
+  const htmlPath = path.join(TRANSCRIPT_DIR, `${base}.html`);
+  fs.writeFileSync(mdPath, md);
+  fs.writeFileSync(htmlPath, html);
+
+  return {
+    paths: [mdPath, htmlPath],
+    messageCount: data.messages.length,
+    files: [
+      { attachment: Buffer.from(md), name: `${base}.md` },
+      { attachment: Buffer.from(html), name: `${base}.html` }
+    ]
+  };
+}
+
+async function postTranscriptToArchive(thread, transcript) {
+  if (!config.transcriptChannelId) return null;
+  const chan = await client.channels.fetch(config.transcriptChannelId).catch(() => null);
+  if (!chan || chan.type !== ChannelType.GuildText) {
+    console.error('❌ Transcript channel is missing or not a text channel.');
+    return null;
+  }
+  const posted = await chan.send({
+    content: `🗂️ **Transcript** — ${thread.name} (${transcript.messageCount} messages) — ${threadUrl(thread.guildId, thread.id)}`,
+    files: transcript.files,
+    allowedMentions: { parse: [] }
+  }).catch(e => {
+    console.error('Transcript post error:', e?.message || e);
+    return null;
+  });
+  return posted?.url || null;
+}
+
+// ====== CLOSING ======
+// Shared by /close and the SLA auto-close. `beforeLock` runs while the thread is still active.
+async function closeDispute(ch, meta, { dmKey = 'closed_dm', dmVars = {}, beforeLock = null, state = 'closed', by = null } = {}) {
+  // Remove this thread from open lists of both participants
+  if (meta.p1Id) removeOpenThreadFor(meta.p1Id, ch.id);
+  if (meta.p2Id) removeOpenThreadFor(meta.p2Id, ch.id);
+
+  // Delete the original trigger message and its status reply, unless the origin keeps them
+  // (the status reply then shows the final state once it is set below)
+  const origin = refThreadToOrigin.get(ch.id);
+  if (origin && config.origins[origin.originGuildId]?.triggerOnClose !== 'keep') {
+    const srcGuild = await client.guilds.fetch(origin.originGuildId).catch(() => null);
+    const srcChan = srcGuild ? await srcGuild.channels.fetch(origin.channelId).catch(() => null) : null;
+
+    if (srcChan && 'messages' in srcChan) {
+      for (const id of [origin.messageId, meta.statusReply?.messageId].filter(Boolean)) {
+        const msg = await srcChan.messages.fetch(id).catch(() => null);
+        if (msg) await msg.delete().catch(() => {});
+      }
+    }
+    meta.statusReply = null;
+  }
+
+  // DM disputer
+  const raiserId = refThreadToPlayer.get(ch.id);
+  if (raiserId) {
+    try {
+      const u = await client.users.fetch(raiserId);
+      const lang = languageForUser(raiserId, raiserId === meta.p2Id ? meta.opponentCountry?.name : meta.playerCountry?.name);
+      const review = config.disputeReviewChannelId ? `<#${config.disputeReviewChannelId}>` : t(lang, 'review_channel_fallback');
+      await u.send(t(lang, dmKey, { review, ...dmVars }));
+    } catch {}
+  }
+
+  if (beforeLock) await beforeLock();
+  if (!(await setDisputeState(ch, meta, state, { by }))) await setDisputeState(ch, meta, 'closed', { by });
+
+  // Self-contained record, in case the thread or the hub is deleted later
+  const closedAt = Date.now();
+  const transcript = await exportTranscript(ch, meta, closedAt).catch(e => {
+    console.error('Transcript export error:', e);
+    return null;
+  });
+  const transcriptUrl = transcript ? await postTranscriptToArchive(ch, transcript) : null;
+
+  // Then lock + archive
+  await ch.setLocked(true).catch(() => {});
+  await ch.setArchived(true).catch(() => {});
+
+  // Keep a searchable record, then clean in-memory state AFTER closing
+  disputeArchive.set(ch.id, {
+    ...meta,
+    raiserId: raiserId || meta.p1Id || null,
+    guildId: ch.guildId,
+    threadName: ch.name,
+    closedAt,
+    transcriptPaths: transcript?.paths || null,
+    transcriptUrl
+  });
+  refMeta.delete(ch.id);
+  refThreadToPlayer.delete(ch.id);
+  refThreadToOrigin.delete(ch.id);
+  saveState();
+}
+
+// ====== APPEALS (/appeal, fresh referee panel) ======
+// An appeal opens a new private thread in the same hub, linked to the original dispute
+// (open or closed). It carries over the dispute meta, the decision and the evidence locker,
+// and keeps out every ref who took part in the original ruling (meta.appeal.excluded).
+// /appeal_outcome records upheld / overturned / modified and announces it where the decision was posted.
+
+// Meta fields an appeal starts from; everything else (votes, lead, SLA, notices) starts fresh
+const APPEAL_CARRIED_FIELDS = [
+  'p1Id', 'p2Id', 'issue', 'playerCountry', 'opponentCountry', 'originGuildId', 'translate',
+  ...DECISION_META_OPTIONS
+];
+
+const disputeRecord = threadId => refMeta.get(threadId) || disputeArchive.get(threadId) || null;
+
+// Latest live decision of a dispute that a player may still appeal, or null
+function appealableDecision(threadId, meta) {
+  if (!meta || meta.appeal) return null; // no appeals of appeals
+  const found = findPostedDecision(threadId, meta);
+  if (!found) return null;
+  const open = (meta.appeals || []).some(a => a.decisionId === found.decision.id && !a.status);
+  return open ? { ...found, alreadyAppealed: true } : found;
+}
+
+// Decided disputes (open or closed) in which this user is a player, newest decision first
+function appealCandidates(userId) {
+  const out = [];
+  for (const [threadId, meta] of [...refMeta, ...disputeArchive]) {
+    if (meta.p1Id !== userId && meta.p2Id !== userId) continue;
+    const found = appealableDecision(threadId, meta);
+    if (found) out.push({ threadId, meta, ...found });
+  }
+  return out.sort((a, b) => b.decision.at - a.decision.at);
+}
+
+// Everyone who shaped the original ruling: wrote in the thread, voted, drafted, approved or posted it, or led it
+async function originalParticipants(threadId, meta) {
+  const ids = new Set();
+  const add = id => { if (id) ids.add(id); };
+
+  const thread = await client.channels.fetch(threadId).catch(() => null);
+  if (thread?.isThread()) {
+    for (const m of await fetchThreadHistory(thread)) if (!m.author?.bot) add(m.author.id);
+  }
+  for (const [messageId, vote] of votes) {
+    if (vote.threadId !== threadId) continue;
+    add(vote.createdBy);
+    Object.keys(vote.ballots || {}).forEach(add);
+    if (vote.mode === 'buttons') continue;
+    const chan = await client.channels.fetch(vote.channelId).catch(() => null);
+    const msg = chan && 'messages' in chan ? await chan.messages.fetch(messageId).catch(() => null) : null;
+    for (const reaction of msg?.reactions.cache.values() ?? []) {
+      const users = await reaction.users.fetch({ limit: 100 }).catch(() => null);
+      for (const u of users?.values() ?? []) if (!u.bot) add(u.id);
+    }
+  }
+  for (const d of meta.decisions || []) [d.postedBy, d.draftedBy, d.approvedBy, d.editedBy, d.retractedBy].forEach(add);
+  for (const d of meta.drafts || []) [d.draftedBy, d.reviewedBy].forEach(add);
+  add(meta.lead?.userId);
+
+  ids.delete(meta.p1Id);
+  ids.delete(meta.p2Id);
+  return [...ids];
+}
+
+// DM both players in their language; varsFor(lang) adds translated placeholders, extra is appended as-is
+async function notifyPlayers(meta, key, { varsFor = () => ({}), extra = '', except = null } = {}) {
+  for (const [id, country] of [[meta.p1Id, meta.playerCountry], [meta.p2Id, meta.opponentCountry]]) {
+    if (!id || id === except) continue;
+    const lang = languageForUser(id, country?.name);
+    const text = t(lang, key, { issue: meta.issue || t(lang, 'issue_unset'), ...varsFor(lang) });
+    const u = await client.users.fetch(id).catch(() => null);
+    await u?.send(extra ? `${text}\n${extra}` : text).catch(() => {});
+  }
+}
+
+// Open the appeal thread; by = who asked, byRole = 'player' | 'head referee'
+async function openAppeal(origId, { by, byRole, reason }) {
+  const orig = disputeRecord(origId);
+  const found = appealableDecision(origId, orig);
+  if (!found || found.alreadyAppealed) throw new Error('Decision is not appealable');
+
+  const dest = destinationFor(orig.originGuildId);
+  const destGuild = await client.guilds.fetch(dest.guildId);
+  const refHub = await destGuild.channels.fetch(dest.refHubChannelId);
+  if (!refHub || refHub.type !== ChannelType.GuildText)
+    throw new Error('Ref hub must be a TEXT channel that allows private threads (destination).');
+
+  const origThread = await client.channels.fetch(origId).catch(() => null);
+  const origName = (origThread?.name || orig.threadName || orig.issue || 'Dispute').replace(STATE_TITLE_RE, '').replace(LEAD_TITLE_RE, '');
+  const thread = await refHub.threads.create({
+    name: `Appeal - ${origName}`.slice(0, 100),
+    autoArchiveDuration: ThreadAutoArchiveDuration.OneWeek,
+    type: ChannelType.PrivateThread,
+    invitable: false,
+  });
+
+  const excluded = await originalParticipants(origId, orig);
+  const meta = {
+    ...Object.fromEntries(APPEAL_CARRIED_FIELDS.filter(f => orig[f] !== undefined).map(f => [f, structuredClone(orig[f])])),
+    openedAt: Date.now(),
+    state: 'open',
+    appeal: { of: origId, decisionId: found.decision.id, decisionNumber: found.number, by, byRole, reason, at: Date.now(), excluded, status: null }
+  };
+  refMeta.set(thread.id, meta);
+  refThreadToPlayer.set(thread.id, orig.raiserId || refThreadToPlayer.get(origId) || orig.p1Id);
+  addOpenThreadFor(meta.p1Id, thread.id);
+  addOpenThreadFor(meta.p2Id, thread.id);
+
+  orig.appeals = [...(orig.appeals || []), { threadId: thread.id, decisionId: found.decision.id, by, at: meta.appeal.at, status: null }];
+  await setDisputeState(refMeta.has(origId) ? origThread : null, orig, 'appealed', { by, note: `appeal <#${thread.id}>` });
+
+  // Carry over: summary, the decision as posted, the evidence locker
+  const d = found.decision;
+  // The header and Set: lines are what the state rebuild reads back (appeal threads have no Source post)
+  await thread.send({
+    content: [
+      appealOfLine(origId, found.number, by, byRole),
+      `**Reason:** ${reason}`,
+      `**Decision under appeal:** #${found.number} ${outcomeLabel(d.outcome)} — ${fmtDate(d.at)}${d.url ? ` — ${d.url}` : ''}`,
+      '',
+      metaPreview(meta)
+    ].join('\n').slice(0, 2000),
+    allowedMentions: { parse: [] }
+  });
+  if (meta.p1Id && meta.p2Id) {
+    const countries = meta.playerCountry?.name && meta.opponentCountry?.name
+      ? `\n${setCountriesLine(meta.playerCountry.name, meta.opponentCountry.name)}` : '';
+    await thread.send({ content: setPlayersLine(meta.p1Id, meta.p2Id) + countries, allowedMentions: { parse: [] } });
+  }
+  if (meta.issue) await thread.send(setIssueLine(meta.issue));
+  const posted = await fetchDecisionMessage(d);
+  const decisionText = posted?.content || buildDecisionText(orig, decisionOptsFrom(orig, d.outcome), refThreadToPlayer.get(origId) || orig.raiserId);
+  await thread.send({ content: `📜 **Original decision**\n${decisionText}`.slice(0, 2000), allowedMentions: { parse: [] } });
+
+  const carried = [...evidenceLocker.values()]
+    .filter(e => e.threadId === origId)
+    .sort((a, b) => a.number - b.number)
+    .map(({ threadId, number, ...rest }) => addEvidence(thread.id, { ...rest, copiedFrom: `${threadId}-${number}` }));
+  saveState();
+  await thread.send({
+    content: carried.length
+      ? clampLines([`🔒 **Evidence carried over** (${carried.length}) — use \`/evidence get\` here:`, ...carried.map(evidenceLine)])
+      : '🔒 No evidence was stored for the original dispute.',
+    allowedMentions: { parse: [] }
+  });
+
+  // Fresh panel: refs who took part are skipped (and listed) by the membership pass
+  await addAllRefsToThread(thread, destGuild);
+  await removeConflictedFromThread(thread, destGuild, { quiet: true });
+  await purgePlayersFromThread(thread, destGuild);
+  await autoAssignLead(thread, meta);
+
+  if (refMeta.has(origId) && origThread) {
+    await origThread.send(`⚖️ An appeal against decision #${found.number} was opened: <#${thread.id}>`).catch(() => {});
+  }
+  await notifyPlayers(meta, 'appeal_opened_dm', { except: byRole === 'player' ? by : null });
+  return thread;
+}
+
+// Record the outcome on both threads, adjust the ledger and announce it
+async function recordAppealOutcome(ch, meta, status, note, userId) {
+  const orig = disputeRecord(meta.appeal.of);
+  const origDecision = (orig?.decisions || []).find(d => d.id === meta.appeal.decisionId) ||
+    (meta.appeal.decisionNumber ? orig?.decisions?.[meta.appeal.decisionNumber - 1] : null);
+  const replacement = status === 'modified' ? findPostedDecision(ch.id, meta)?.decision : null;
+
+  Object.assign(meta.appeal, { status, note, decidedBy: userId, decidedAt: Date.now(), replacementId: replacement?.id || null });
+  if (origDecision) {
+    origDecision.appeal = { threadId: ch.id, status, replacementUrl: replacement?.url || null };
+    // The original sanctions stand only when the decision is upheld (a modified ruling has its own)
+    if (status !== 'upheld') removeSanctionsFor(origDecision);
+  }
+  const entry = (orig?.appeals || []).find(a => a.threadId === ch.id);
+  if (entry) entry.status = status;
+  refMeta.set(ch.id, meta);
+  saveState();
+
+  const origOpen = refMeta.has(meta.appeal.of);
+  if (orig) {
+    const origThread = origOpen ? await client.channels.fetch(meta.appeal.of).catch(() => null) : null;
+    await setDisputeState(origThread, orig, origOpen ? 'decided' : 'closed', { by: userId, note: `appeal ${APPEAL_OUTCOMES[status].toLowerCase()}` });
+  }
+  await setDisputeState(ch, meta, 'decided', { by: userId, note: `appeal ${APPEAL_OUTCOMES[status].toLowerCase()}` });
+
+  const lines = [
+    `⚖️ **Appeal result: ${APPEAL_OUTCOMES[status]}**`,
+    origDecision?.url ? `Decision under appeal: ${origDecision.url}` : null,
+    replacement?.url ? `New decision: ${replacement.url}` : null,
+    note ? `**Note:** ${note}` : null
+  ].filter(Boolean).join('\n');
+
+  // Publicly next to the original ruling, and in both ref threads
+  const publicChan = origDecision?.channelId ? await client.channels.fetch(origDecision.channelId).catch(() => null) : null;
+  if (publicChan && !publicChan.isThread()) await publicChan.send({ content: lines, allowedMentions: { parse: [] } }).catch(() => {});
+  await ch.send({ content: `${lines}\nRecorded by <@${userId}>.`, allowedMentions: { parse: [] } });
+  if (origOpen) {
+    const origThread = await client.channels.fetch(meta.appeal.of).catch(() => null);
+    await origThread?.send({ content: lines, allowedMentions: { parse: [] } }).catch(() => {});
+  }
+
+  await notifyPlayers(meta, 'appeal_result_dm', {
+    varsFor: lang => ({ status: t(lang, `appeal_status_${status}`) }),
+    extra: note ? `> ${note}` : ''
+  });
+}
+
+// /appeal: players in DMs (pick a decision when they have several), head refs inside the dispute thread
+const pendingAppeals = new Map(); // token -> { userId, reason, at }
+
+async function handleAppealCommand(interaction) {
+  const reason = interaction.options.getString('reason', true).trim();
+  const uid = interaction.user.id;
+
+  if (interaction.inGuild()) {
+    const record = disputeRecord(interaction.channelId);
+    if (!record) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'Use `/appeal` inside the dispute thread (head referees), or in your DMs with the bot (players).' });
+    }
+    if (!hasAccess(interaction, 'head')) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, content: '🔒 In a dispute thread only head referees can open an appeal. Players appeal from their DMs with the bot.' });
+    }
+    const found = appealableDecision(interaction.channelId, record);
+    if (!found) return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'This dispute has no posted decision that can be appealed.' });
+    if (found.alreadyAppealed) return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'An appeal against that decision is already open.' });
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    try {
+      const thread = await openAppeal(interaction.channelId, { by: uid, byRole: 'head referee', reason });
+      return interaction.editReply(`✅ Appeal opened: <#${thread.id}>`);
+    } catch (e) {
+      console.error('/appeal error', e);
+      return interaction.editReply('❌ Failed to open the appeal.');
+    }
+  }
+
+  const lang = languageForUser(uid);
+  const candidates = appealCandidates(uid);
+  const fresh = candidates.filter(c => !c.alreadyAppealed);
+  if (!candidates.length) return interaction.reply({ content: t(lang, 'appeal_none') });
+  if (!fresh.length) return interaction.reply({ content: t(lang, 'appeal_exists') });
+
+  if (fresh.length === 1) {
+    await interaction.deferReply();
+    return interaction.editReply(await playerAppeal(uid, fresh[0].threadId, reason, lang));
+  }
+
+  const token = interaction.id;
+  const now = Date.now();
+  for (const [k, p] of pendingAppeals) if (now - p.at > DECISION_ACTION_TTL_MS) pendingAppeals.delete(k);
+  pendingAppeals.set(token, { userId: uid, reason, at: now });
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`appeal-select:${token}`)
+    .setPlaceholder(t(lang, 'appeal_placeholder'))
+    .addOptions(fresh.slice(0, 25).map(c => ({
+      label: `${c.meta.issue || 'Dispute'} — ${fmtDate(c.decision.at)}`.slice(0, 100),
+      description: outcomeLabel(c.decision.outcome).slice(0, 100),
+      value: c.threadId
+    })));
+  return interaction.reply({ content: t(lang, 'appeal_pick'), components: [new ActionRowBuilder().addComponents(menu)] });
+}
+
+async function playerAppeal(userId, threadId, reason, lang) {
+  const found = appealableDecision(threadId, disputeRecord(threadId));
+  if (!found) return t(lang, 'appeal_none');
+  if (found.alreadyAppealed) return t(lang, 'appeal_exists');
+  try {
+    await openAppeal(threadId, { by: userId, byRole: 'player', reason });
+    return t(lang, 'appeal_sent');
+  } catch (e) {
+    console.error('player appeal error', e);
+    const review = config.disputeReviewChannelId ? `<#${config.disputeReviewChannelId}>` : t(lang, 'review_channel_fallback');
+    return t(lang, 'appeal_failed', { review });
+  }
+}
+
+async function handleAppealSelect(interaction) {
+  if (!interaction.isStringSelectMenu()) return;
+
+  const uid = interaction.user.id;
+  const lang = languageForUser(uid);
+  const pending = pendingAppeals.get(interaction.customId.split(':')[1]);
+  const threadId = interaction.values?.[0];
+  if (!pending || pending.userId !== uid) return interaction.update({ content: t(lang, 'route_gone'), components: [] });
+  pendingAppeals.delete(interaction.customId.split(':')[1]);
+
+  await interaction.update({ components: [] });
+  const record = disputeRecord(threadId);
+  if (!record || (record.p1Id !== uid && record.p2Id !== uid)) return interaction.editReply(t(lang, 'route_gone'));
+  return interaction.editReply(await playerAppeal(uid, threadId, pending.reason, lang));
+}
+
+// ====== SLA TIMERS (reminders, escalation, auto-close) ======
+// Measured from meta.openedAt (set by the trigger handler) and stored in refMeta, so they
+// survive restarts. Each step fires once per dispute; checked every minute.
+const HOUR_MS = 60 * 60 * 1000;
+
+async function escalateDispute(thread) {
+  // The global head-ref role only exists in the main guild; elsewhere use the destination's retag role
+  const headRoleId = thread.guild.id === config.destGuildId ? config.headRefRoleId : '';
+  const roleId = headRoleId || destinationForThread(thread.id).retagRoleId;
+  if (!roleId) {
+    await thread.send(`🚨 **Escalation:** no decision after ${config.slaEscalateHours} hours, but no head-ref or retag role is configured.`);
+    return;
+  }
+  await addRoleMembersToThread(thread, thread.guild, roleId).catch(() => {});
+  await removeConflictedFromThread(thread, thread.guild).catch(() => {});
+  await thread.send({
+    content: `<@&${roleId}>\n🚨 **Escalation:** this dispute has had no decision for ${config.slaEscalateHours} hours. Please take it over.`,
+    allowedMentions: { roles: [roleId] }
+  });
+}
+
+// Steps due for one dispute right now; each one records its timestamp only once it has been sent
+function dueSlaSteps(threadId, meta, now) {
+  const sla = meta.sla ??= {};
+  const since = meta.openedAt || now;
+  const decided = (meta.decisions || []).some(d => !d.retractedAt);
+  const steps = [];
+
+  if (!decided && config.slaDecisionHours && !sla.decisionRemindedAt && now - since >= config.slaDecisionHours * HOUR_MS) {
+    steps.push({ kind: 'decision', done: () => { sla.decisionRemindedAt = now; } });
+  }
+  if (!decided && config.slaEscalateHours && !sla.escalatedAt && now - since >= config.slaEscalateHours * HOUR_MS) {
+    steps.push({ kind: 'escalate', done: () => { sla.escalatedAt = now; } });
+  }
+  for (const [userId, p] of Object.entries(meta.pendingReplies || {})) {
+    if (config.slaReplyHours && !p.remindedAt && now - p.askedAt >= config.slaReplyHours * HOUR_MS) {
+      steps.push({ kind: 'reply', userId, askedAt: p.askedAt, done: () => { p.remindedAt = now; } });
+    }
+  }
+
+  // Auto-close: disputer silent (no DM since the dispute opened / their last DM), no vote running.
+  // Appeals, disputes waiting on an appeal and pending junior-ref drafts are never auto-closed.
+  // Attempted once: a failed close is not retried every minute.
+  const lastSeen = Math.max(since, meta.lastDmAt?.[meta.p1Id] || 0);
+  const voting = [...votes.values()].some(v => v.threadId === threadId && !v.closedAt);
+  const held = meta.appeal || stateOf(meta) === 'appealed' || (meta.drafts || []).some(d => d.status === 'pending');
+  if (config.autoCloseHours && meta.p1Id && !voting && !held && !sla.closeAttemptedAt &&
+      now - lastSeen >= config.autoCloseHours * HOUR_MS) {
+    steps.push({ kind: 'close' });
+  }
+  return steps;
+}
+
+async function checkSlaTimers() {
+  const now = Date.now();
+  for (const [threadId, meta] of [...refMeta]) {
+    const steps = dueSlaSteps(threadId, meta, now);
+    if (!steps.length) continue;
+
+    const thread = await client.channels.fetch(threadId).catch(() => null);
+    if (!thread) continue;
+    const { refRoleId } = destinationForThread(threadId);
+
+    for (const step of steps) {
+      try {
+        if (step.kind === 'decision') {
+          await thread.send({
+            content: `${refRoleId ? `<@&${refRoleId}> ` : ''}⏳ **Reminder:** no decision yet, ${config.slaDecisionHours} hours after this dispute was raised.`,
+            allowedMentions: { roles: refRoleId ? [refRoleId] : [] }
+          });
+        } else if (step.kind === 'escalate') {
+          await escalateDispute(thread);
+        } else if (step.kind === 'reply') {
+          await thread.send({
+            content: `⏳ <@${step.userId}> has not answered the questions sent <t:${Math.floor(step.askedAt / 1000)}:R>.`,
+            allowedMentions: { parse: [] }
+          });
+        } else if (step.kind === 'close') {
+          meta.sla.closeAttemptedAt = now;
+          saveState();
+          await closeDispute(thread, meta, {
+            dmKey: 'auto_closed_dm',
+            dmVars: { hours: config.autoCloseHours },
+            beforeLock: () => thread.send(`🔒 **Auto-closed:** the disputer has been silent for ${config.autoCloseHours} hours.`).catch(() => {})
+          });
+          break;
+        }
+        step.done();
+        saveState();
+      } catch (e) {
+        console.error('SLA step error', step.kind, e);
+      }
+    }
+  }
+}
+
+// Every timed check (votes, opponent deadline, SLA); run once at startup, then every minute
+async function runDueChecks() {
+  await closeDueVotes();
+  await checkOpponentDeadlines();
+  await checkSlaTimers();
+}
+
+// ====== INTERACTIONS (slash commands) ======
+async function handleThreadCommand(interaction) {
+  const ch = interaction.channel;
+  const isThread = ch && (ch.type === ChannelType.PrivateThread || ch.type === ChannelType.PublicThread);
+  if (!isThread) return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'Use this inside a **Dispute Thread**.' });
+  // /resync is how a thread the bot lost track of gets registered again
+  if (!refMeta.has(ch.id) && interaction.commandName !== 'resync') {
+    const archived = disputeArchive.get(ch.id);
+    return interaction.reply({
+      flags: MessageFlags.Ephemeral,
+      content: archived
+        ? `🚫 This dispute is **${stateLabel(archived.state || 'closed')}**, so \`/${interaction.commandName}\` is not possible any more.`
+        : 'This thread is not a registered dispute. If the bot lost track of it, run `/resync`.'
+    });
+  }
+  if (await refuseCommand(interaction)) return;
+  const refusedByState = stateRefusal(refMeta.get(ch.id), interaction.commandName);
+  if (refusedByState) return interaction.reply({ flags: MessageFlags.Ephemeral, content: refusedByState });
+
+  const meta = refMeta.get(ch.id) || {};
+
+  if (interaction.commandName === 'set_players') {
+    const p1 = interaction.options.getUser('player1', true);
+    const p2 = interaction.options.getUser('player2', true);
+
+    // Same path as /set players: DM routing, conflicts, opponent notice and related-dispute links
+    await assignPlayers(ch, meta, p1.id, p2.id);
+    return interaction.reply({ flags: MessageFlags.Ephemeral, content: `✅ Saved.\n\n**Current meta**\n${metaPreview(meta)}` });
+  }
+
+  if (interaction.commandName === 'set_issue') {
+    // Same path as /set issue: rename and post the `Issue set to` line the rebuild reads back
+    await assignIssue(ch, meta, interaction.options.getString('issue', true));
+    return interaction.reply({ flags: MessageFlags.Ephemeral, content: `✅ Saved.\n\n**Current meta**\n${metaPreview(meta)}` });
+  }
+
+  if (interaction.commandName === 'set') {
+    const sub = interaction.options.getSubcommand();
+    try {
+      switch (sub) {
+        case 'players':
+          await assignPlayers(ch, meta, interaction.options.getUser('disputer', true).id, interaction.options.getUser('opponent', true).id);
+          break;
+        case 'issue':
+          await assignIssue(ch, meta, interaction.options.getString('value', true));
+          break;
+        case 'countries': {
           meta.playerCountry   = { name: interaction.options.getString('disputer', true) };
           meta.opponentCountry = { name: interaction.options.getString('opponent', true) };
           refMeta.set(ch.id, meta);
+          await ch.send(setCountriesLine(meta.playerCountry.name, meta.opponentCountry.name)).catch(() => {});
           break;
         }
         case 'favour':
@@ -1148,6 +3846,7 @@ client.on(Events.InteractionCreate, async (interaction) => {
         default:
           return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'Unknown /set subcommand.' });
       }
+      saveState();
       return interaction.reply({ flags: MessageFlags.Ephemeral, content: `✅ Saved.\n\n**Current meta**\n${metaPreview(meta)}` });
     } catch (e) {
       console.error('/set error', e);
@@ -1174,117 +3873,286 @@ client.on(Events.InteractionCreate, async (interaction) => {
         const u = await interaction.client.users.fetch(uid);
         await u.send(text);
         results.push(`✅ DM → <@${uid}>`);
+        // Start (or restart) this player's reply timer
+        meta.pendingReplies = { ...meta.pendingReplies, [uid]: { askedAt: Date.now(), remindedAt: null } };
       } catch {
         results.push(`❌ DM blocked → <@${uid}>`);
       }
     }
-
-    await ch.send(`📤 **Bot DM:** ${text}\n${results.join(' • ')}`);
-    return interaction.reply({ content: 'Sent.', flags: MessageFlags.Ephemeral });
+    refMeta.set(ch.id, meta);
+    saveState();
+
+    await ch.send(`📤 **Bot DM:** ${text}\n${results.join(' • ')}`);
+    await interaction.reply({ content: 'Sent.', flags: MessageFlags.Ephemeral });
+    if (Object.keys(meta.pendingReplies || {}).length) {
+      await setDisputeState(ch, meta, 'awaiting_evidence', { by: interaction.user.id });
+    }
+    return;
+  }
+
+  // ✅ country_post: mandatory channel, no auto find, defer to avoid 10062
+  if (interaction.commandName === 'country_post') {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const target = interaction.options.getChannel('channel', true);
+    const text = interaction.options.getString('text', true);
+
+    if (!target || target.type !== ChannelType.GuildText) {
+      return interaction.editReply('❌ Please choose a valid text channel.');
+    }
+
+    try {
+      await target.send(text);
+      return interaction.editReply(`✅ Posted to <#${target.id}>.`);
+    } catch (e) {
+      console.error('country_post error', e);
+      return interaction.editReply('❌ Failed to post to the channel. Check my permissions.');
+    }
+  }
+
+  if (interaction.commandName === 'remove_conflicts') {
+    try {
+      const destGuild = interaction.guild;
+      await removeConflictedFromThread(ch, destGuild);
+      return interaction.reply({ content: 'Conflict removal completed.', flags: MessageFlags.Ephemeral });
+    } catch (e) {
+      console.error('remove_conflicts error', e);
+      return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'Failed to remove conflicts.' });
+    }
+  }
+
+  if (interaction.commandName === 'retag_refs') {
+    const { retagRoleId } = destinationForThread(ch.id);
+    if (!retagRoleId) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'No retag role is configured. An admin can set one with `/config set`.' });
+    }
+    try {
+      const destGuild = interaction.guild;
+
+      // Re-run conflict removal first (safe & idempotent)
+      await removeConflictedFromThread(ch, destGuild);
+
+      // Add ONLY the specified role holders
+      await addRoleMembersToThread(ch, destGuild, retagRoleId);
+
+      // Ping that role (not global ref roles)
+      await ch.send(`<@&${retagRoleId}>\nPlease review this dispute. If you were removed as conflicted, do not rejoin.`);
+
+      return interaction.reply({ content: 'Retagged the specified role.', flags: MessageFlags.Ephemeral });
+    } catch (e) {
+      console.error('retag_refs error', e);
+      return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'Failed to retag that role.' });
+    }
+  }
+
+  if (interaction.commandName === 'evidence') {
+    const entries = [...evidenceLocker.values()].filter(e => e.threadId === ch.id).sort((a, b) => a.number - b.number);
+
+    if (interaction.options.getSubcommand() === 'list') {
+      if (!entries.length) return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'No evidence stored for this dispute yet.' });
+      return replyPaged(interaction, `🔒 **Evidence** — ${entries.length} item(s)`, entries.map(evidenceLine));
+    }
+
+    const n = interaction.options.getInteger('number', true);
+    const e = entries.find(x => x.number === n);
+    if (!e) return interaction.reply({ flags: MessageFlags.Ephemeral, content: `Evidence #${n} does not exist in this dispute.` });
+    if (e.kind !== 'file') return interaction.reply({ flags: MessageFlags.Ephemeral, content: evidenceLine(e), allowedMentions: { parse: [] } });
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    try {
+      const buf = fs.readFileSync(e.path);
+      const check = sha256(buf) === e.sha256 ? '✅ Hash matches the copy saved on receipt.' : '⚠️ Hash does NOT match the recorded value.';
+      if (buf.length > FORWARD_MAX_BYTES) {
+        return interaction.editReply(`${evidenceLine(e)}\n${check}\nToo large to upload here; it is stored at \`${e.path}\`.`);
+      }
+      return interaction.editReply({
+        content: `${evidenceLine(e)}\n${check}\nFull sha256: \`${e.sha256}\``,
+        files: [{ attachment: buf, name: e.fileName }],
+        allowedMentions: { parse: [] }
+      });
+    } catch (err) {
+      console.error('/evidence get error', err);
+      return interaction.editReply(`❌ Evidence #${n} is missing from the locker (\`${e.path}\`).`);
+    }
+  }
+
+  if (interaction.commandName === 'merge') {
+    const dup = interaction.options.getChannel('duplicate', true);
+    const dupMeta = refMeta.get(dup.id);
+    if (dup.id === ch.id) return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'Pick the **other** dispute thread.' });
+    if (!dupMeta) return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'That thread is not an open dispute.' });
+    if ((dupMeta.decisions || []).some(d => !d.retractedAt)) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'That dispute already has a posted decision. Retract it first, or merge the other way round.' });
+    }
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    try {
+      const dupThread = await client.channels.fetch(dup.id);
+      const moved = await mergeDisputes(ch, meta, dupThread, dupMeta, interaction.user.id);
+      return interaction.editReply(`✅ Merged <#${dup.id}> into this dispute (${moved.length} player(s) re-routed).`);
+    } catch (e) {
+      console.error('/merge error', e);
+      return interaction.editReply('❌ Failed to merge those disputes.');
+    }
   }
 
-  // ✅ country_post: mandatory channel, no auto find, defer to avoid 10062
-  if (interaction.commandName === 'country_post') {
-    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+  if (interaction.commandName === 'claim') {
+    const me = interaction.user.id;
+    const conflict = refConflictReason(interaction.member, meta);
+    let refusal = null;
+    if (!isRefMember(interaction.member, destinationForThread(ch.id))) refusal = 'Only referees can lead a dispute.';
+    else if (me === meta.p1Id || me === meta.p2Id) refusal = 'You are a player in this dispute.';
+    else if (conflict) refusal = `You cannot lead this dispute (${conflict}).`;
+    else if (meta.lead?.userId === me) refusal = 'You already lead this dispute.';
+    else if (meta.lead?.userId) refusal = `<@${meta.lead.userId}> already leads this dispute. They can pass it to you with \`/handoff\`.`;
+    if (refusal) return interaction.reply({ flags: MessageFlags.Ephemeral, allowedMentions: { parse: [] }, content: refusal });
 
-    const target = interaction.options.getChannel('channel', true);
-    const text = interaction.options.getString('text', true);
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    await setLead(ch, meta, me, 'claim');
+    await ch.send({ content: `🎯 <@${me}> claimed this dispute as lead referee.`, allowedMentions: { parse: [] } }).catch(() => {});
+    return interaction.editReply('✅ You are now the lead referee of this dispute.');
+  }
 
-    if (!target || target.type !== ChannelType.GuildText) {
-      return interaction.editReply('❌ Please choose a valid text channel.');
+  if (interaction.commandName === 'handoff') {
+    // The lead hands over their own dispute; head refs can reassign any dispute
+    const from = interaction.user.id;
+    const lead = meta.lead?.userId || null;
+    if (lead !== from && !hasAccess(interaction, 'head')) {
+      return interaction.reply({
+        flags: MessageFlags.Ephemeral,
+        allowedMentions: { parse: [] },
+        content: lead ? `Only the lead referee (<@${lead}>) or a head referee can hand this dispute over.` : 'Nobody leads this dispute yet. Use `/claim`.'
+      });
     }
 
+    const target = interaction.options.getUser('to');
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
     try {
-      await target.send(text);
-      return interaction.editReply(`✅ Posted to <#${target.id}>.`);
+      let toId = null;
+      if (target) {
+        const gm = await ch.guild.members.fetch(target.id).catch(() => null);
+        const conflict = gm && refConflictReason(gm, meta);
+        if (target.id === lead) return interaction.editReply(`<@${target.id}> already leads this dispute.`);
+        if (!isRefMember(gm, destinationForThread(ch.id))) return interaction.editReply(`<@${target.id}> is not a referee.`);
+        if (target.id === meta.p1Id || target.id === meta.p2Id) return interaction.editReply(`<@${target.id}> is a player in this dispute.`);
+        if (conflict) return interaction.editReply(`<@${target.id}> cannot lead this dispute (${conflict}).`);
+        toId = target.id;
+      } else if (config.autoAssignLead) {
+        toId = (await pickAutoLead(ch, meta, [lead].filter(Boolean)))?.id || null;
+        if (!toId) return interaction.editReply('No other eligible referee to hand over to. Name one with `to`.');
+      }
+
+      await setLead(ch, meta, toId, 'handoff');
+      await ch.send(toId
+        ? { content: `🔁 <@${from}> handed the lead of this dispute to <@${toId}>.`, allowedMentions: { users: [toId] } }
+        : { content: `🔁 <@${from}> released the lead of this dispute. Any referee can \`/claim\` it.`, allowedMentions: { parse: [] } }
+      ).catch(() => {});
+      return interaction.editReply(toId ? `✅ <@${toId}> is now the lead referee.` : '✅ This dispute has no lead referee now.');
     } catch (e) {
-      console.error('country_post error', e);
-      return interaction.editReply('❌ Failed to post to the channel. Check my permissions.');
+      console.error('/handoff error', e);
+      return interaction.editReply('❌ Failed to hand over the lead.');
     }
   }
 
-  if (interaction.commandName === 'remove_conflicts') {
-    try {
-      const destGuild = interaction.guild;
-      await removeConflictedFromThread(
-        ch,
-        destGuild,
-        [meta.playerCountry?.name, meta.opponentCountry?.name].filter(Boolean)
-      );
-      return interaction.reply({ content: 'Conflict removal completed.', flags: MessageFlags.Ephemeral });
-    } catch (e) {
-      console.error('remove_conflicts error', e);
-      return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'Failed to remove conflicts.' });
+  if (interaction.commandName === 'recuse') {
+    const reason = interaction.options.getString('reason')?.trim() || '';
+    meta.recused = { ...(meta.recused || {}), [interaction.user.id]: { reason, at: Date.now() } };
+    refMeta.set(ch.id, meta);
+    saveState();
+
+    await interaction.reply({ flags: MessageFlags.Ephemeral, content: '✅ You are recused from this dispute and will not be re-added or counted as a voter.' });
+    await ch.send({
+      content: `🚫 Removed <@${interaction.user.id}> — recused${reason ? `: ${reason}` : ''}`,
+      allowedMentions: { parse: [] }
+    }).catch(() => {});
+    await ch.members.remove(interaction.user.id).catch(() => {});
+    if (meta.lead?.userId === interaction.user.id) {
+      await setLead(ch, meta, null);
+      await autoAssignLead(ch, meta, [interaction.user.id]);
     }
+    return;
   }
 
-  if (interaction.commandName === 'retag_refs') {
-    try {
-      const destGuild = interaction.guild;
+  if (interaction.commandName === 'status') {
+    const to = interaction.options.getString('state');
+    const note = interaction.options.getString('note')?.trim() || '';
+    const current = stateOf(meta);
+    if (!to) {
+      const history = (meta.stateHistory || []).slice(-5).map(h =>
+        `• ${fmtDate(h.at)} ${stateLabel(h.from)} → ${stateLabel(h.to)}${h.by ? ` by <@${h.by}>` : ''}${h.note ? ` — ${h.note}` : ''}`);
+      const next = DISPUTE_STATES[current].next.map(stateLabel).join(', ') || 'none';
+      return interaction.reply({
+        flags: MessageFlags.Ephemeral,
+        allowedMentions: { parse: [] },
+        content: [`🔖 **Status:** ${stateLabel(current)}`, `**Possible next:** ${next}`, ...(history.length ? ['**Recent changes:**', ...history] : [])].join('\n')
+      });
+    }
+    if (to === current) return interaction.reply({ flags: MessageFlags.Ephemeral, content: `This dispute is already **${stateLabel(to)}**.` });
+    if (to === 'decided' && !findPostedDecision(ch.id, meta)) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'There is no posted decision yet. Post one with `/decision`.' });
+    }
+    if (!canMoveTo(meta, to)) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, content: `🚫 A dispute cannot go from **${stateLabel(current)}** to **${stateLabel(to)}**.` });
+    }
 
-      // Re-run conflict removal first (safe & idempotent)
-      await removeConflictedFromThread(
-        ch,
-        destGuild,
-        [meta.playerCountry?.name, meta.opponentCountry?.name].filter(Boolean)
-      );
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    await setDisputeState(ch, meta, to, { by: interaction.user.id, note });
+    return interaction.editReply(`✅ Status set to **${stateLabel(to)}**.`);
+  }
 
-      // Add ONLY the specified role holders
-      await addRoleMembersToThread(ch, destGuild, RETAG_ROLE_ID);
+  if (interaction.commandName === 'appeal_outcome') {
+    if (!meta.appeal) return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'This is not an appeal thread. Open one with `/appeal`.' });
+    if (meta.appeal.status) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, content: `This appeal was already decided: **${APPEAL_OUTCOMES[meta.appeal.status]}**.` });
+    }
+    const conflict = refConflictReason(interaction.member, meta);
+    if (conflict) return interaction.reply({ flags: MessageFlags.Ephemeral, allowedMentions: { parse: [] }, content: `You cannot decide this appeal (${conflict}).` });
 
-      // Ping that role (not global ref roles)
-      await ch.send(`<@&${RETAG_ROLE_ID}>\nPlease review this dispute. If you were removed as conflicted, do not rejoin.`);
+    const status = interaction.options.getString('status', true);
+    const note = interaction.options.getString('note')?.trim() || '';
+    if (status === 'modified' && !findPostedDecision(ch.id, meta)) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'Post the modified ruling with `/decision` in this thread first, then record the outcome.' });
+    }
 
-      return interaction.reply({ content: 'Retagged the specified role.', flags: MessageFlags.Ephemeral });
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    try {
+      await recordAppealOutcome(ch, meta, status, note, interaction.user.id);
+      return interaction.editReply(`✅ Appeal recorded as **${APPEAL_OUTCOMES[status]}**. Close this thread with \`/close\` when done.`);
     } catch (e) {
-      console.error('retag_refs error', e);
-      return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'Failed to retag that role.' });
+      console.error('/appeal_outcome error', e);
+      return interaction.editReply('❌ Failed to record the appeal outcome.');
     }
   }
 
-  // ✅ close: defer first, reply before archive/lock, and fixed brace structure
-  if (interaction.commandName === 'close') {
+  if (interaction.commandName === 'transcript') {
     await interaction.deferReply({ flags: MessageFlags.Ephemeral });
-
     try {
-      // Remove this thread from open lists of both participants
-      if (meta.p1Id) removeOpenThreadFor(meta.p1Id, ch.id);
-      if (meta.p2Id) removeOpenThreadFor(meta.p2Id, ch.id);
-
-      // Delete the original trigger message if possible
-      const origin = refThreadToOrigin.get(ch.id);
-      if (origin) {
-        const srcGuild = await interaction.client.guilds.fetch(origin.originGuildId).catch(() => null);
-        const srcChan = srcGuild ? await srcGuild.channels.fetch(origin.channelId).catch(() => null) : null;
-
-        if (srcChan && 'messages' in srcChan) {
-          const msg = await srcChan.messages.fetch(origin.messageId).catch(() => null);
-          if (msg) await msg.delete().catch(() => {});
-        }
-      }
+      const transcript = await exportTranscript(ch, meta);
+      return interaction.editReply({
+        content: `🗂️ Transcript of ${transcript.messageCount} message(s), saved as \`${transcript.paths.join('`, `')}\`.`,
+        files: transcript.files
+      });
+    } catch (e) {
+      console.error('/transcript error', e);
+      return interaction.editReply('❌ Failed to export the transcript.');
+    }
+  }
 
-      // DM disputer
-      const raiserId = refThreadToPlayer.get(ch.id);
-      if (raiserId) {
-        try {
-          const u = await interaction.client.users.fetch(raiserId);
-          const review = DISPUTE_REVIEW_CHANNEL_ID ? ` <#${DISPUTE_REVIEW_CHANNEL_ID}>` : ' the Dispute Review channel.';
-          await u.send(`Your dispute has been **Closed** by the referees. If you need to follow up, please message${review}`);
-        } catch {}
-      }
+  // ✅ close: defer first, reply before archive/lock
+  if (interaction.commandName === 'close') {
+    const withdrawn = interaction.options.getBoolean('withdrawn') ?? false;
+    if (withdrawn && !canMoveTo(meta, 'withdrawn')) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, content: `A dispute that is **${stateLabel(stateOf(meta))}** cannot be withdrawn. Close it instead.` });
+    }
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
 
+    try {
       // Reply while thread is still active (prevents 50083)
-      await interaction.editReply('✅ Dispute closed (archived & locked).');
-
-      // Then lock + archive
-      await ch.setLocked(true).catch(() => {});
-      await ch.setArchived(true).catch(() => {});
-
-      // Clean in-memory state AFTER closing
-      refMeta.delete(ch.id);
-      refThreadToPlayer.delete(ch.id);
-      refThreadToOrigin.delete(ch.id);
-
+      await closeDispute(ch, meta, {
+        state: withdrawn ? 'withdrawn' : 'closed',
+        by: interaction.user.id,
+        beforeLock: () => interaction.editReply(`✅ Dispute ${withdrawn ? 'withdrawn' : 'closed'} (archived & locked).`)
+      });
       return;
     } catch (e) {
       console.error('close error', e);
@@ -1302,67 +4170,61 @@ client.on(Events.InteractionCreate, async (interaction) => {
     }
 
     const outcome = interaction.options.getString('outcome', true);
-    const team_rule = interaction.options.getString('team_rule', false) || null;
-    const favour = interaction.options.getString('favour', false) || null;
-    const schedule_window = interaction.options.getString('schedule_window', false) || null;
-    const device_player = interaction.options.getString('device_player', false) || null;
-    const pokemon = interaction.options.getString('pokemon', false) || null;
-    const old_move = interaction.options.getString('old_move', false) || null;
-    const new_move = interaction.options.getString('new_move', false) || null;
-    const penalty_against = interaction.options.getString('penalty_against', false) || null;
     const overrideChan = interaction.options.getChannel('channel', false);
 
-    // Persist these opts into thread meta so later posts don't need re-entry
-    meta.favour = favour ?? meta.favour;
-    meta.schedule_window = schedule_window ?? meta.schedule_window;
-    meta.device_player = device_player ?? meta.device_player;
-    meta.team_rule = team_rule ?? meta.team_rule;
-    meta.pokemon = pokemon ?? meta.pokemon;
-    meta.old_move = old_move ?? meta.old_move;
-    meta.new_move = new_move ?? meta.new_move;
-    meta.penalty_against = penalty_against ?? meta.penalty_against;
-    refMeta.set(ch.id, meta);
+    const options = decisionOptionOverrides(interaction);
+    const view = { ...meta, ...options };
 
-    const raiserId = refThreadToPlayer.get(ch.id);
-    const text = buildDecisionText(meta, {
-      outcome,
-      team_rule: meta.team_rule,
-      favour: meta.favour,
-      schedule_window: meta.schedule_window,
-      device_player: meta.device_player,
-      pokemon: meta.pokemon,
-      old_move: meta.old_move,
-      new_move: meta.new_move,
-      penalty_against: meta.penalty_against
-    }, raiserId);
-
-    // target: override -> origin guild country chan -> thread
-    let targetChannel = overrideChan;
-    if (!targetChannel) {
-      const originId = meta.originGuildId;
-      const originGuild = originId ? await interaction.client.guilds.fetch(originId).catch(() => null) : null;
-      if (originGuild) {
-        await originGuild.channels.fetch().catch(() => {}); // hydrate cache
-        targetChannel = await findDecisionChannel(
-          originGuild,
-          meta.playerCountry?.name,
-          meta.opponentCountry?.name
-        );
-      }
+    const missing = missingTemplateFields(outcome, view);
+    if (missing.length) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, content: missingFieldsText(outcome, missing) });
     }
 
     try {
-      if (targetChannel && targetChannel.type === ChannelType.GuildText) {
-        await targetChannel.send(text);
-        await ch.send(`📣 Decision posted to <#${targetChannel.id}>.`);
-      } else {
-        await ch.send(text);
-      }
-      return interaction.reply({ content: 'Decision posted.', flags: MessageFlags.Ephemeral });
+      const targetChannel = await resolveDecisionTarget(meta, overrideChan);
+      return replyDecisionPreview(interaction, ch, view, outcome, targetChannel, { options });
     } catch (e) {
-      console.error('decision post error', e);
-      return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'Failed to post decision.' });
+      console.error('decision preview error', e);
+      return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'Failed to prepare decision.' });
+    }
+  }
+
+  if (interaction.commandName === 'decision_edit' || interaction.commandName === 'decision_retract') {
+    const n = interaction.options.getInteger('decision', false);
+    const found = findPostedDecision(ch.id, meta, n);
+    if (!found) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, content: n ? `Decision #${n} does not exist or was retracted.` : 'No posted decision in this thread.' });
+    }
+    const { decision, number } = found;
+    const token = interaction.id;
+
+    if (interaction.commandName === 'decision_retract') {
+      const reason = interaction.options.getString('reason', true);
+      stashDecisionAction(token, { action: 'retract', threadId: ch.id, userId: interaction.user.id, decisionId: decision.id, number, reason });
+      return interaction.reply({
+        flags: MessageFlags.Ephemeral,
+        content: `🗑️ Retract **decision #${number}** (${outcomeLabel(decision.outcome)})?\n${decision.url || ''}\n**Reason:** ${reason}`,
+        components: [decisionConfirmRow(token, 'Retract', true)]
+      });
+    }
+
+    const outcome = interaction.options.getString('outcome', false) || decision.outcome;
+    const options = decisionOptionOverrides(interaction);
+    const view = { ...meta, ...options };
+
+    const missing = missingTemplateFields(outcome, view);
+    if (missing.length) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, content: missingFieldsText(outcome, missing) });
     }
+
+    stashDecisionAction(token, { action: 'edit', threadId: ch.id, userId: interaction.user.id, decisionId: decision.id, number, outcome, options });
+    const text = buildDecisionText(view, decisionOptsFrom(view, outcome), refThreadToPlayer.get(ch.id));
+    return interaction.reply({
+      flags: MessageFlags.Ephemeral,
+      content: previewContent(`✏️ **Preview of decision #${number}** — ${outcomeLabel(decision.outcome)} → ${outcomeLabel(outcome)}`, text),
+      components: [decisionConfirmRow(token, 'Save edit')],
+      allowedMentions: { parse: [] }
+    });
   }
 
   if (interaction.commandName === 'vote') {
@@ -1397,22 +4259,591 @@ client.on(Events.InteractionCreate, async (interaction) => {
       lines.join('\n');
 
     try {
-      const msg = await target.send({ content, allowedMentions: { parse: ['everyone'] } });
+      const hours = interaction.options.getNumber('hours', false);
+      const quorum = interaction.options.getInteger('quorum', false);
+      const deadline = hours ? Date.now() + hours * 60 * 60 * 1000 : null;
+
+      if (interaction.options.getBoolean('secret')) {
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+        const vote = {
+          mode: 'buttons',
+          threadId: ch.id,
+          channelId: target.id,
+          title,
+          keys: [...seen],
+          quorum: quorum ?? config.voteQuorum,
+          deadline,
+          here: here !== false,
+          eligibleCount: await countEligibleVoters(ch.id),
+          ballots: {},
+          createdBy: interaction.user.id,
+          createdAt: Date.now(),
+          closedAt: null,
+          result: null
+        };
+        const msg = await target.send({
+          content: secretVoteContent(vote),
+          components: secretVoteButtons(vote.keys),
+          allowedMentions: { parse: ['everyone'] }
+        });
+        votes.set(msg.id, vote);
+        saveState();
+        await interaction.editReply(`Secret vote created with ${items.length} option(s).`);
+        await setDisputeState(ch, meta, 'voting', { by: interaction.user.id });
+        return;
+      }
+
+      const msg = await target.send({
+        content: content + (deadline ? `\n\n⏳ Closes <t:${Math.floor(deadline / 1000)}:R>.` : ''),
+        allowedMentions: { parse: ['everyone'] }
+      });
       for (const it of items) {
         await msg.react(it.emoji).catch(() => {});
       }
-      return interaction.reply({ flags: MessageFlags.Ephemeral, content: `Vote created with ${items.length} option(s).` });
+
+      votes.set(msg.id, {
+        mode: 'reactions',
+        threadId: ch.id,
+        channelId: msg.channelId,
+        title,
+        keys: [...seen],
+        quorum: quorum ?? config.voteQuorum,
+        deadline,
+        createdBy: interaction.user.id,
+        createdAt: Date.now(),
+        closedAt: null,
+        result: null
+      });
+      saveState();
+      await interaction.reply({ flags: MessageFlags.Ephemeral, content: `Vote created with ${items.length} option(s).` });
+      await setDisputeState(ch, meta, 'voting', { by: interaction.user.id });
+      return;
     } catch (e) {
       console.error('vote error', e);
+      if (interaction.deferred) return interaction.editReply('Failed to post vote (check Send Messages & Mention Everyone permissions).');
       return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'Failed to post vote (check Add Reactions & Mention Everyone permissions).' });
     }
   }
+
+  if (interaction.commandName === 'vote_close') {
+    const wanted = interaction.options.getString('message_id', false)?.trim();
+    const entry = wanted
+      ? (votes.get(wanted)?.threadId === ch.id ? [wanted, votes.get(wanted)] : null)
+      : [...votes].filter(([, v]) => v.threadId === ch.id && !v.closedAt).sort((a, b) => b[1].createdAt - a[1].createdAt)[0];
+    if (!entry) return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'No open vote found for this thread.' });
+    if (entry[1].closedAt) return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'That vote is already closed.' });
+    if (entry[1].mode === 'buttons') {
+      // Secret votes run to their deadline unless a full (senior) referee ends them
+      if (!hasAccess(interaction, 'ref')) return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'Only a full referee can end a secret vote early.' });
+    }
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    try {
+      const ok = await closeVote(entry[0], interaction.user.id);
+      return interaction.editReply(ok ? '✅ Vote closed and result posted.' : '❌ Could not read the vote message (deleted?).');
+    } catch (e) {
+      console.error('vote_close error', e);
+      return interaction.editReply('❌ Failed to close the vote.');
+    }
+  }
+
+  if (interaction.commandName === 'resync') {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    try {
+      const rebuilt = await rebuildThreadState(ch);
+      if (!rebuilt) {
+        return interaction.editReply('❌ No `Source:` or appeal post found — this does not look like a dispute thread.');
+      }
+      saveState();
+      await renameThreadByMeta(ch);
+      return interaction.editReply(`✅ State rebuilt from thread history.\n\n**Current meta**\n${metaPreview(rebuilt)}`);
+    } catch (e) {
+      console.error('resync error', e);
+      return interaction.editReply('❌ Failed to rebuild state for this thread.');
+    }
+  }
+}
+
+// ====== /standings & /sanctions (ledger reports, any channel) ======
+const fmtDate = ms => new Date(ms).toISOString().slice(0, 10);
+
+function clampLines(lines, max = 1900) {
+  const out = [];
+  let len = 0;
+  for (const l of lines) {
+    if (len + l.length + 1 > max) {
+      out.push(`… and ${lines.length - out.length} more`);
+      break;
+    }
+    out.push(l);
+    len += l.length + 1;
+  }
+  return out.join('\n');
+}
+
+async function handleLedgerCommand(interaction) {
+  if (await refuseCommand(interaction)) return;
+
+  const flags = interaction.options.getBoolean('public') ? undefined : MessageFlags.Ephemeral;
+  const entries = [...sanctionLedger.values()];
+
+  try {
+    if (interaction.commandName === 'standings') {
+      const totals = new Map(); // country -> { points, count }
+      for (const e of entries) {
+        if (e.kind !== 'penalty') continue;
+        const key = e.country || 'Unknown country';
+        const t = totals.get(key) ?? { points: 0, count: 0 };
+        t.points += e.points;
+        t.count++;
+        totals.set(key, t);
+      }
+      if (!totals.size) return interaction.reply({ flags, content: 'No penalty points recorded yet.' });
+
+      const rows = [...totals].sort((a, b) => b[1].points - a[1].points || a[0].localeCompare(b[0]));
+      const lines = rows.map(([country, t], i) => `${i + 1}. **${country}** — ${t.points} pt (${t.count} ruling${t.count === 1 ? '' : 's'})`);
+      return interaction.reply({ flags, allowedMentions: { parse: [] }, content: clampLines(['**Penalty points by country**', ...lines]) });
+    }
+
+    const player = interaction.options.getUser('player', true);
+    const mine = entries.filter(e => e.playerId === player.id && e.kind !== 'win').sort((a, b) => a.at - b.at);
+    if (!mine.length) {
+      return interaction.reply({ flags, allowedMentions: { parse: [] }, content: `No warnings or penalties recorded for <@${player.id}>.` });
+    }
+    const warnings = mine.filter(e => e.kind === 'warning');
+    const penalties = mine.filter(e => e.kind === 'penalty');
+    const row = e => `• ${fmtDate(e.at)} — ${e.kind === 'warning' ? 'Warning' : `${e.points} pt (${e.clause})`} — ${e.issue || e.outcome} — <#${e.threadId}>${e.decisionUrl ? ` · [decision](${e.decisionUrl})` : ''}`;
+    return interaction.reply({
+      flags,
+      allowedMentions: { parse: [] },
+      content: clampLines([
+        `**Sanctions for <@${player.id}>** — ${warnings.length} warning(s), ${penalties.reduce((n, e) => n + e.points, 0)} penalty pt`,
+        ...mine.map(row)
+      ])
+    });
+  } catch (e) {
+    console.error(`/${interaction.commandName} error`, e);
+    return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'Failed to read the ledger.' }).catch(() => {});
+  }
+}
+
+// ====== /conflict (declared conflicts of interest) ======
+// Re-run the conflict pass on open disputes of this player, so a new declaration takes effect at once
+async function applyDeclaredConflict(refId, userId) {
+  const affected = [];
+  for (const [threadId, meta] of refMeta) {
+    if (meta.p1Id !== userId && meta.p2Id !== userId) continue;
+    const thread = await client.channels.fetch(threadId).catch(() => null);
+    if (!thread?.isThread()) continue;
+    const kicked = await removeConflictedFromThread(thread, thread.guild, { quiet: true }).catch(() => []);
+    if (kicked.length) affected.push(threadId);
+  }
+  return affected;
+}
+
+async function handleConflictCommand(interaction) {
+  if (await refuseCommand(interaction)) return;
+
+  const sub = interaction.options.getSubcommand();
+  const refId = interaction.user.id;
+  const mine = declaredConflicts.get(refId) || [];
+
+  try {
+    if (sub === 'declare') {
+      const user = interaction.options.getUser('user', true);
+      if (user.id === refId) return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'You cannot declare a conflict with yourself.' });
+      const reason = interaction.options.getString('reason')?.trim() || '';
+      declaredConflicts.set(refId, [...mine.filter(c => c.userId !== user.id), { userId: user.id, reason, at: Date.now() }]);
+      saveState();
+
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+      const affected = await applyDeclaredConflict(refId, user.id);
+      return interaction.editReply({
+        allowedMentions: { parse: [] },
+        content: `✅ Declared a conflict with <@${user.id}>${reason ? ` (${reason})` : ''}. You will be kept out of their disputes.` +
+          (affected.length ? `\nRemoved from: ${affected.map(id => `<#${id}>`).join(', ')}` : '')
+      });
+    }
+
+    if (sub === 'remove') {
+      const user = interaction.options.getUser('user', true);
+      if (!mine.some(c => c.userId === user.id)) {
+        return interaction.reply({ flags: MessageFlags.Ephemeral, allowedMentions: { parse: [] }, content: `You have no declared conflict with <@${user.id}>.` });
+      }
+      const rest = mine.filter(c => c.userId !== user.id);
+      if (rest.length) declaredConflicts.set(refId, rest);
+      else declaredConflicts.delete(refId);
+      saveState();
+      return interaction.reply({
+        flags: MessageFlags.Ephemeral,
+        allowedMentions: { parse: [] },
+        content: `✅ Withdrew your conflict with <@${user.id}>. Use \`/retag_refs\` or ask a ref to re-add you to open threads.`
+      });
+    }
+
+    const ref = interaction.options.getUser('ref') || interaction.user;
+    const list = declaredConflicts.get(ref.id) || [];
+    if (!list.length) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, allowedMentions: { parse: [] }, content: `No declared conflicts for <@${ref.id}>.` });
+    }
+    return interaction.reply({
+      flags: MessageFlags.Ephemeral,
+      allowedMentions: { parse: [] },
+      content: clampLines([
+        `**Declared conflicts for <@${ref.id}>** (${list.length})`,
+        ...list.map(c => `• <@${c.userId}> — ${c.reason || 'no reason given'} — ${fmtDate(c.at)}`)
+      ])
+    });
+  } catch (e) {
+    console.error('/conflict error', e);
+    const reply = { flags: MessageFlags.Ephemeral, content: '❌ Failed to update conflicts.' };
+    return (interaction.deferred ? interaction.editReply(reply) : interaction.reply(reply)).catch(() => {});
+  }
+}
+
+// ====== PAGINATED EPHEMERAL REPLIES ======
+const PAGE_SIZE = 10;
+const PAGE_TTL_MS = 15 * 60 * 1000;
+const pagedReplies = new Map(); // token -> { userId, title, lines, at }
+
+function pageMessage(token, page) {
+  const entry = pagedReplies.get(token);
+  const pages = Math.max(1, Math.ceil(entry.lines.length / PAGE_SIZE));
+  const p = Math.min(Math.max(page, 0), pages - 1);
+  const body = entry.lines.slice(p * PAGE_SIZE, (p + 1) * PAGE_SIZE);
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`page:${token}:${p - 1}`).setLabel('◀ Prev').setStyle(ButtonStyle.Secondary).setDisabled(p === 0),
+    new ButtonBuilder().setCustomId(`page:${token}:${p + 1}`).setLabel('Next ▶').setStyle(ButtonStyle.Secondary).setDisabled(p >= pages - 1)
+  );
+  return {
+    content: clampLines([`${entry.title} — page ${p + 1}/${pages} (${entry.lines.length} result(s))`, ...body]),
+    components: pages > 1 ? [row] : [],
+    allowedMentions: { parse: [] }
+  };
+}
+
+function replyPaged(interaction, title, lines) {
+  const now = Date.now();
+  for (const [t, e] of pagedReplies) if (now - e.at > PAGE_TTL_MS) pagedReplies.delete(t);
+
+  const token = interaction.id;
+  pagedReplies.set(token, { userId: interaction.user.id, title, lines, at: now });
+  return interaction.reply({ flags: MessageFlags.Ephemeral, ...pageMessage(token, 0) });
+}
+
+async function handlePageButton(interaction) {
+  try {
+    if (!interaction.isButton()) return;
+    const [, token, page] = interaction.customId.split(':');
+    const entry = pagedReplies.get(token);
+    if (!entry || entry.userId !== interaction.user.id) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'These results expired. Run the command again.' });
+    }
+    return interaction.update(pageMessage(token, Number(page)));
+  } catch (e) {
+    console.error('page button error', e);
+  }
+}
+
+// ====== /history & /search (open + archived disputes) ======
+
+// Every dispute we know of: open ones (refMeta) and closed ones (archive)
+function allDisputes() {
+  const out = [];
+  for (const [id, a] of disputeArchive) out.push({ id, status: 'closed', ...a });
+  for (const [id, m] of refMeta) {
+    if (disputeArchive.has(id)) continue;
+    out.push({ id, status: 'open', ...m, raiserId: refThreadToPlayer.get(id) || m.p1Id, guildId: destinationFor(m.originGuildId).guildId });
+  }
+  return out.sort((a, b) => (b.openedAt || b.closedAt || 0) - (a.openedAt || a.closedAt || 0));
+}
+
+// "[GB]" / "gb" / "[GB] Great Britain" all match a country named "[GB] Great Britain"
+function countryMatches(name, query) {
+  if (!name || !query) return false;
+  const q = query.trim().toLowerCase();
+  const code = bracketCode(query) || (q.length <= 3 ? q : '');
+  if (code) return bracketCode(name) === code; // codes match exactly, "in" must not hit "Finland"
+  return name.toLowerCase().includes(q);
+}
+
+function disputeLine(d) {
+  const when = d.openedAt ? fmtDate(d.openedAt) : (d.closedAt ? fmtDate(d.closedAt) : '????-??-??');
+  const side = (id, c) => `${id ? `<@${id}>` : '—'} (${c?.name || '—'})`;
+  const live = (d.decisions || []).filter(x => x.url && !x.retractedAt);
+  const decisions = live.map((x, i) => `[decision${live.length > 1 ? ` ${i + 1}` : ''}](${x.url})`);
+  return `• ${when} — **${d.issue || 'No issue'}** — ${side(d.p1Id, d.playerCountry)} vs ${side(d.p2Id, d.opponentCountry)}` +
+    ` — [thread](${threadUrl(d.guildId, d.id)})${decisions.length ? ` · ${decisions.join(' · ')}` : ''} · ${d.status}`;
+}
+
+function parseDay(v, endOfDay = false) {
+  if (!v) return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(v.trim())) return NaN;
+  const ms = Date.parse(`${v.trim()}T00:00:00Z`);
+  return endOfDay ? ms + 24 * 60 * 60 * 1000 - 1 : ms;
+}
+
+async function handleHistoryCommand(interaction) {
+  if (await refuseCommand(interaction)) return;
+
+  try {
+    if (interaction.commandName === 'history') {
+      const player = interaction.options.getUser('player', false);
+      const country = interaction.options.getString('country', false);
+      const vs = interaction.options.getString('vs', false);
+      if (!player && !country) {
+        return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'Give a `player` and/or a `country` (optionally with `vs`).' });
+      }
+
+      const hasCountry = (d, q) => countryMatches(d.playerCountry?.name, q) || countryMatches(d.opponentCountry?.name, q);
+      const results = allDisputes().filter(d =>
+        (!player || d.p1Id === player.id || d.p2Id === player.id || d.raiserId === player.id) &&
+        (!country || hasCountry(d, country)) &&
+        (!vs || hasCountry(d, vs))
+      );
+
+      const title = [
+        '**History**',
+        player ? `player <@${player.id}>` : null,
+        country ? `country ${country}${vs ? ` vs ${vs}` : ''}` : null
+      ].filter(Boolean).join(' · ');
+      if (!results.length) return interaction.reply({ flags: MessageFlags.Ephemeral, allowedMentions: { parse: [] }, content: `${title}\nNo disputes found.` });
+      return replyPaged(interaction, title, results.map(disputeLine));
+    }
+
+    const issue = interaction.options.getString('issue', false);
+    const since = parseDay(interaction.options.getString('since', false));
+    const until = parseDay(interaction.options.getString('until', false), true);
+    if (Number.isNaN(since) || Number.isNaN(until)) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'Dates must look like `2026-09-01`.' });
+    }
+
+    const results = allDisputes().filter(d => {
+      const t = d.openedAt || d.closedAt || 0;
+      return (!issue || d.issue === issue) && (since == null || t >= since) && (until == null || t <= until);
+    });
+    const title = ['**Search**', issue ? `issue ${issue}` : null, since != null ? `since ${fmtDate(since)}` : null, until != null ? `until ${fmtDate(until)}` : null]
+      .filter(Boolean).join(' · ');
+    if (!results.length) return interaction.reply({ flags: MessageFlags.Ephemeral, content: `${title}\nNo disputes found.` });
+    return replyPaged(interaction, title, results.map(disputeLine));
+  } catch (e) {
+    console.error(`/${interaction.commandName} error`, e);
+    return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'Failed to search disputes.' }).catch(() => {});
+  }
+}
+
+// ====== /language (players, usually in DMs) ======
+async function handleLanguageCommand(interaction) {
+  try {
+    const uid = interaction.user.id;
+    const choice = interaction.options.getString('language', true);
+    if (choice === 'auto') playerLanguage.delete(uid);
+    else playerLanguage.set(uid, choice);
+    saveState();
+
+    const lang = languageForUser(uid);
+    const content = choice === 'auto'
+      ? t(lang, 'language_auto', { language: languageName(lang) })
+      : t(lang, 'language_set', { language: languageName(lang) });
+    return interaction.reply({ flags: MessageFlags.Ephemeral, content });
+  } catch (e) {
+    console.error('/language error', e);
+    return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'Failed to save your language.' }).catch(() => {});
+  }
+}
+
+// ====== /template reload ======
+async function registerCommandsEverywhere() {
+  const rest = new REST({ version: '10' }).setToken(token);
+  const guilds = await client.guilds.fetch();
+  const failed = [];
+  for (const [id, g] of guilds) {
+    try {
+      await rest.put(Routes.applicationGuildCommands(client.user.id, id), { body: buildSlashCommands() });
+    } catch (e) {
+      console.error(`❌ Failed to re-register in guild ${id} (${g?.name || 'unknown'}):`, e?.code || e?.status || e?.message || e);
+      failed.push(g?.name || id);
+    }
+  }
+  return { total: guilds.size, failed };
+}
+
+async function handleTemplateCommand(interaction) {
+  // Registered everywhere, but it reloads the shared file and re-registers commands in every guild
+  if (!hasAccess(interaction, 'head', destinationsInGuild(interaction.guildId))) {
+    return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'Only head referees or administrators of a destination server can use `/template`.' });
+  }
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+  try {
+    let next;
+    try {
+      next = loadDecisionTemplates();
+    } catch (e) {
+      return interaction.editReply(clampLines([`❌ Templates not reloaded (the current ones stay active):`, ...String(e?.message || e).split('\n')]));
+    }
+    decisionTemplates = next;
+
+    const { total, failed } = await registerCommandsEverywhere();
+    return interaction.editReply(
+      `✅ Loaded ${next.templates.length} template(s) from \`${DECISION_TEMPLATES_PATH}\`. ` +
+      `/decision choices refreshed in ${total - failed.length}/${total} server(s)` +
+      (failed.length ? ` (failed: ${failed.join(', ')}).` : '.')
+    );
+  } catch (e) {
+    console.error('/template error', e);
+    return interaction.editReply('❌ Failed to reload templates.');
+  }
+}
+
+// ====== /config (admins of the destination server) ======
+function configSummary() {
+  const overridden = envOverriddenFields(config);
+  const body = JSON.stringify(config, null, 2);
+  return [
+    `**Config file:** \`${CONFIG_PATH}\``,
+    overridden.length ? `**Env overrides (win over the file):** ${overridden.join(', ')}` : '**Env overrides:** none',
+    '```json',
+    body.length > 1700 ? body.slice(0, 1700) + '\n…' : body,
+    '```'
+  ].join('\n');
+}
+
+async function handleConfigCommand(interaction) {
+  try {
+    if (interaction.guildId !== config.destGuildId ||
+        !interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'Only administrators of the destination server can use `/config`.' });
+    }
+
+    const sub = interaction.options.getSubcommand();
+    if (sub === 'view') {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, content: configSummary() });
+    }
+
+    let errors;
+    let done;
+    switch (sub) {
+      case 'set': {
+        const key = interaction.options.getString('key', true);
+        const setting = CONFIG_SETTINGS[key];
+        const raw = interaction.options.getString('value', true).trim();
+        const cleared = raw.toLowerCase() === 'none';
+        const value = setting.type === 'count' ? (cleared ? 0 : Number(raw))
+          : setting.type === 'flag' ? (parseFlag(raw) ?? raw)
+          : (cleared ? '' : raw);
+        errors = updateConfig(c => { c[setting.field] = value; });
+        done = `${setting.label} set to ${value !== '' ? `\`${value}\`` : '(none)'}.`;
+        if (!errors.length && envValue(setting.env)) done += ` ⚠️ \`${setting.env}\` is set in env and still wins.`;
+        break;
+      }
+      case 'origin_add': {
+        const guildId = interaction.options.getString('guild_id', true).trim();
+        const origin = {
+          key: interaction.options.getString('key', true).trim().toUpperCase(),
+          disputeChannelId: interaction.options.getString('dispute_channel_id', true).trim(),
+          triggerRoleId: interaction.options.getString('trigger_role_id', true).trim(),
+          rulesChannelId: interaction.options.getString('rules_channel_id', false)?.trim() || null,
+          triggerOnClose: interaction.options.getString('trigger_on_close', false) || 'delete'
+        };
+        const optional = {
+          destGuildId: 'dest_guild_id',
+          destRefHubChannelId: 'ref_hub_channel_id',
+          refRoleId: 'ref_role_id',
+          jrRefRoleId: 'jr_ref_role_id',
+          retagRoleId: 'retag_role_id',
+        };
+        for (const [field, opt] of Object.entries(optional)) {
+          const v = interaction.options.getString(opt, false)?.trim();
+          if (v) origin[field] = v;
+        }
+        errors = updateConfig(c => { c.origins = { ...c.origins, [guildId]: origin }; });
+        done = `Origin **${origin.key}** (\`${guildId}\`) saved.`;
+        break;
+      }
+      case 'origin_remove': {
+        const guildId = interaction.options.getString('guild_id', true).trim();
+        if (!fileConfig.origins?.[guildId]) {
+          return interaction.reply({ flags: MessageFlags.Ephemeral, content: `No origin with server ID \`${guildId}\` in the config file.` });
+        }
+        errors = updateConfig(c => { delete c.origins[guildId]; });
+        done = `Origin \`${guildId}\` removed. Open disputes from it are unaffected.`;
+        break;
+      }
+      default:
+        return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'Unknown /config subcommand.' });
+    }
+
+    if (errors.length) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, content: `❌ Not saved:\n• ${errors.join('\n• ')}` });
+    }
+    return interaction.reply({ flags: MessageFlags.Ephemeral, content: `✅ ${done}` });
+  } catch (e) {
+    console.error('/config error', e);
+    return interaction.reply({ flags: MessageFlags.Ephemeral, content: 'Failed to update the configuration.' }).catch(() => {});
+  }
+}
+
+// ====== INTERACTION DISPATCH ======
+// One InteractionCreate listener: slash commands by name (everything else runs in a dispute
+// thread), buttons, selects and modals by the customId prefix before the first ':'.
+const COMMAND_HANDLERS = {
+  config: handleConfigCommand,
+  standings: handleLedgerCommand,
+  sanctions: handleLedgerCommand,
+  history: handleHistoryCommand,
+  search: handleHistoryCommand,
+  template: handleTemplateCommand,
+  language: handleLanguageCommand,
+  conflict: handleConflictCommand,
+  appeal: handleAppealCommand,
+};
+const COMPONENT_HANDLERS = {
+  'dm-route-select': handleDmRouteSelect,
+  page: handlePageButton,
+  avote: handleVoteButton,
+  'vote-decision': handleVoteDecisionSelect,
+  dec: handleDecisionConfirm,
+  intake: handleIntake,
+  detect: handleDetectComponent,
+  draft: handleDraftReview,
+  'appeal-select': handleAppealSelect,
+};
+
+client.on(Events.InteractionCreate, async (interaction) => {
+  try {
+    if (interaction.isChatInputCommand()) {
+      await (COMMAND_HANDLERS[interaction.commandName] || handleThreadCommand)(interaction);
+    } else if ('customId' in interaction) {
+      await COMPONENT_HANDLERS[interaction.customId.split(':')[0]]?.(interaction);
+    }
+  } catch (e) {
+    console.error('Interaction handler error:', e);
+  }
 });
 
 // ====== READY (register commands & log guilds) ======
 client.once(Events.ClientReady, async () => {
   console.log(`✅ Logged in as ${client.user.tag}`);
 
+  // Restore open disputes saved before the last restart, then fill any gaps
+  // (missing/corrupted store) by reading the ref hub threads themselves
+  loadState();
+  const rebuilt = await rebuildFromRefHub().catch(e => {
+    console.error('State rebuild error:', e);
+    return 0;
+  });
+  if (rebuilt) {
+    console.log(`🔁 Rebuilt ${rebuilt} dispute(s) from the ref hub.`);
+    saveState();
+  }
+
+  // "Raise a dispute" panels in every origin dispute channel
+  await ensureIntakePanels().catch(e => console.error('Intake panel error:', e));
+
+  // Vote, opponent-reply and SLA deadlines (checked every minute, including ones that passed while offline)
+  runDueChecks().catch(e => console.error('Timer check error:', e));
+  setInterval(() => runDueChecks().catch(e => console.error('Timer check error:', e)), 60 * 1000);
+
   const rest = new REST({ version: '10' }).setToken(token);
 
   const guilds = await client.guilds.fetch();
@@ -1427,7 +4858,7 @@ client.once(Events.ClientReady, async () => {
     try {
       await rest.put(
         Routes.applicationGuildCommands(client.user.id, id),
-        { body: slashCommands }
+        { body: buildSlashCommands() }
       );
       console.log(`✅ Commands registered in: ${g?.name || id}`);
     } catch (e) {
@@ -1439,6 +4870,14 @@ client.once(Events.ClientReady, async () => {
       if (raw?.errors) console.error('   ↳ Details:', JSON.stringify(raw.errors, null, 2));
     }
   }
+
+  // /language and /appeal are global so players can run them in their DMs with the bot
+  try {
+    await rest.put(Routes.applicationCommands(client.user.id), { body: [buildCmdLanguage(), buildCmdAppeal()] });
+    console.log('✅ Global commands registered: /language, /appeal');
+  } catch (e) {
+    console.error('❌ Failed to register global commands:', e?.code || e?.status || e?.message || e);
+  }
 });
 
 // Auto-register when invited to a new server
@@ -1448,7 +4887,7 @@ client.on(Events.GuildCreate, async (g) => {
   try {
     await rest.put(
       Routes.applicationGuildCommands(client.user.id, g.id),
-      { body: slashCommands }
+      { body: buildSlashCommands() }
     );
     console.log(`✅ Commands registered in new guild: ${g.name} (${g.id})`);
   } catch (e) {
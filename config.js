@@ -0,0 +1,117 @@
+// config.js — Runtime config schema for the Disputes Bot (ESM, Node 18+)
+//
+// What a config object may contain and how env vars override it. No I/O: bot.js reads
+// and writes the config file and passes plain objects (and process.env) through here.
+//   validateConfig(cfg)            -> list of error strings ([] when valid)
+//   applyEnvOverrides(base, env)   -> copy of base with env values applied
+//   envOverriddenFields(cfg, env)  -> env var names currently overriding a value
+
+// Top-level settings: /config set key -> config field + env override
+export const CONFIG_SETTINGS = {
+  dest_guild:      { field: 'destGuildId',            env: 'DEST_GUILD_ID',             label: 'Destination server',  required: true },
+  ref_hub_channel: { field: 'destRefHubChannelId',    env: 'DEST_REF_HUB_CHANNEL_ID',   label: 'Ref hub channel',     required: true },
+  ref_role:        { field: 'refRoleId',              env: 'REF_ROLE_ID',               label: 'Referee role',        required: true },
+  jr_ref_role:     { field: 'jrRefRoleId',            env: 'JR_REF_ROLE_ID',            label: 'Junior referee role' },
+  retag_role:      { field: 'retagRoleId',            env: 'RETAG_ROLE_ID',             label: 'Retag role' },
+  review_channel:  { field: 'disputeReviewChannelId', env: 'DISPUTE_REVIEW_CHANNEL_ID', label: 'Dispute review channel' },
+  rules_channel:   { field: 'rulesChannelId',         env: 'RULES_CHANNEL_ID',          label: 'Rules channel' },
+  vote_quorum:     { field: 'voteQuorum',             env: 'VOTE_QUORUM',               label: 'Vote quorum', type: 'count' },
+  opponent_hours:  { field: 'opponentResponseHours',  env: 'OPPONENT_RESPONSE_HOURS',   label: 'Opponent response window (hours)', type: 'count' },
+  sla_decision_hours: { field: 'slaDecisionHours',    env: 'SLA_DECISION_HOURS',        label: 'Decision reminder after (hours)', type: 'count' },
+  sla_escalate_hours: { field: 'slaEscalateHours',    env: 'SLA_ESCALATE_HOURS',        label: 'Escalate after (hours)', type: 'count' },
+  sla_reply_hours:    { field: 'slaReplyHours',       env: 'SLA_REPLY_HOURS',           label: 'Player reply reminder after (hours)', type: 'count' },
+  auto_close_hours:   { field: 'autoCloseHours',      env: 'AUTO_CLOSE_HOURS',          label: 'Auto-close silent disputes after (hours)', type: 'count' },
+  head_ref_role:      { field: 'headRefRoleId',       env: 'HEAD_REF_ROLE_ID',          label: 'Head referee role' },
+  transcript_channel: { field: 'transcriptChannelId', env: 'TRANSCRIPT_CHANNEL_ID',     label: 'Transcript archive channel' },
+  duplicate_window_hours: { field: 'duplicateWindowHours', env: 'DUPLICATE_WINDOW_HOURS', label: 'Duplicate detection window (hours)', type: 'count' },
+  auto_assign_lead:   { field: 'autoAssignLead',      env: 'AUTO_ASSIGN_LEAD',          label: 'Auto-assign a lead referee (on/off)', type: 'flag' },
+};
+// Per-origin env overrides use the origin key: <KEY>_GUILD_ID, <KEY>_DISPUTE_CHANNEL_ID, <KEY>_TRIGGER_ROLE_ID
+// and, for a per-origin destination, <KEY>_DEST_GUILD_ID, <KEY>_DEST_REF_HUB_CHANNEL_ID, <KEY>_REF_ROLE_ID, ...
+const ORIGIN_ENV_FIELDS = {
+  DISPUTE_CHANNEL_ID: 'disputeChannelId',
+  TRIGGER_ROLE_ID: 'triggerRoleId',
+  TRIGGER_ON_CLOSE: 'triggerOnClose',
+  DEST_GUILD_ID: 'destGuildId',
+  DEST_REF_HUB_CHANNEL_ID: 'destRefHubChannelId',
+  REF_ROLE_ID: 'refRoleId',
+  JR_REF_ROLE_ID: 'jrRefRoleId',
+  RETAG_ROLE_ID: 'retagRoleId',
+};
+const ORIGIN_DEST_FIELDS = ['destGuildId', 'destRefHubChannelId', 'refRoleId', 'jrRefRoleId', 'retagRoleId'];
+const TRIGGER_ON_CLOSE = ['delete', 'keep'];
+
+export const isSnowflake = v => /^\d{17,20}$/.test(String(v ?? ''));
+export const parseFlag = v => ({ on: true, true: true, yes: true, 1: true, off: false, false: false, no: false, 0: false, none: false })[String(v).toLowerCase()];
+export const envValue = (name, env = process.env) => (env[name] ?? '').trim();
+
+export function validateConfig(cfg) {
+  const errors = [];
+  for (const s of Object.values(CONFIG_SETTINGS)) {
+    const v = cfg[s.field];
+    if (s.type === 'count') {
+      if (!Number.isInteger(v) || v < 0) errors.push(`${s.field} must be a whole number ≥ 0 (got "${v ?? ''}")`);
+    } else if (s.type === 'flag') {
+      if (typeof v !== 'boolean') errors.push(`${s.field} must be on or off (got "${v ?? ''}")`);
+    } else if (s.required ? !isSnowflake(v) : (v && !isSnowflake(v))) {
+      errors.push(`${s.field} must be a Discord ID${s.required ? '' : ' or empty'} (got "${v ?? ''}")`);
+    }
+  }
+
+  if (!cfg.origins || typeof cfg.origins !== 'object' || Array.isArray(cfg.origins)) {
+    errors.push('origins must be an object keyed by guild ID');
+    return errors;
+  }
+  const keys = new Set();
+  for (const [guildId, o] of Object.entries(cfg.origins)) {
+    if (!isSnowflake(guildId)) errors.push(`origins: "${guildId}" is not a guild ID`);
+    if (!/^[A-Z0-9_]+$/.test(o?.key || '')) errors.push(`origins.${guildId}.key must be UPPER_CASE letters, digits or _`);
+    else if (keys.has(o.key)) errors.push(`origins.${guildId}.key "${o.key}" is used twice`);
+    else keys.add(o.key);
+    if (!isSnowflake(o?.disputeChannelId)) errors.push(`origins.${guildId}.disputeChannelId must be a Discord ID`);
+    if (!isSnowflake(o?.triggerRoleId)) errors.push(`origins.${guildId}.triggerRoleId must be a Discord ID`);
+    if (o?.rulesChannelId && !isSnowflake(o.rulesChannelId)) errors.push(`origins.${guildId}.rulesChannelId must be a Discord ID or null`);
+    if (o?.triggerOnClose && !TRIGGER_ON_CLOSE.includes(o.triggerOnClose)) {
+      errors.push(`origins.${guildId}.triggerOnClose must be ${TRIGGER_ON_CLOSE.join(' or ')}`);
+    }
+    for (const field of ORIGIN_DEST_FIELDS) {
+      if (o?.[field] && !isSnowflake(o[field])) errors.push(`origins.${guildId}.${field} must be a Discord ID or empty`);
+    }
+    // A different destination server cannot borrow the global hub/roles (they live in another server)
+    if (o?.destGuildId && o.destGuildId !== cfg.destGuildId && (!o.destRefHubChannelId || !o.refRoleId)) {
+      errors.push(`origins.${guildId}: destGuildId needs its own destRefHubChannelId and refRoleId`);
+    }
+  }
+  return errors;
+}
+
+export function applyEnvOverrides(base, env = process.env) {
+  const cfg = structuredClone(base);
+  for (const s of Object.values(CONFIG_SETTINGS)) {
+    const raw = envValue(s.env, env);
+    if (!raw) continue;
+    cfg[s.field] = s.type === 'count' ? Number(raw) : s.type === 'flag' ? (parseFlag(raw) ?? raw) : raw;
+  }
+  for (const [guildId, o] of Object.entries(cfg.origins || {})) {
+    for (const [suffix, field] of Object.entries(ORIGIN_ENV_FIELDS)) {
+      if (envValue(`${o.key}_${suffix}`, env)) o[field] = envValue(`${o.key}_${suffix}`, env);
+    }
+    const movedTo = envValue(`${o.key}_GUILD_ID`, env);
+    if (movedTo && movedTo !== guildId) {
+      delete cfg.origins[guildId];
+      cfg.origins[movedTo] = o;
+    }
+  }
+  return cfg;
+}
+
+// Which effective values currently come from env (so /config can say why an edit has no effect)
+export function envOverriddenFields(cfg, env = process.env) {
+  const out = Object.values(CONFIG_SETTINGS).filter(s => envValue(s.env, env)).map(s => s.env);
+  for (const o of Object.values(cfg.origins || {})) {
+    for (const suffix of ['GUILD_ID', ...Object.keys(ORIGIN_ENV_FIELDS)]) {
+      if (envValue(`${o.key}_${suffix}`, env)) out.push(`${o.key}_${suffix}`);
+    }
+  }
+  return out;
+}
@@ -0,0 +1,18 @@
+import js from '@eslint/js';
+import globals from 'globals';
+
+export default [
+  js.configs.recommended,
+  {
+    languageOptions: {
+      ecmaVersion: 2023,
+      sourceType: 'module',
+      globals: globals.node
+    },
+    rules: {
+      'no-empty': ['error', { allowEmptyCatch: true }],
+      // Handlers keep the (interaction, guild, ...) shape even when a body ignores an argument
+      'no-unused-vars': ['error', { args: 'none' }]
+    }
+  }
+];
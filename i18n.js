@@ -0,0 +1,93 @@
+// i18n.js — Message catalogs for player-facing texts (ESM, Node 18+)
+//
+// One JSON catalog per language in ./locales/<code>.json:
+//   name       -> the language's own name, shown by /language
+//   countries  -> bracket codes of country roles that speak it, e.g. "es", "mex"
+//   messages   -> key -> string or array of lines, with {placeholders}
+//   decision   -> optional translation of decision-templates.json
+//                 (header, footer, teamRules, templates: { <template id>: [lines] })
+//
+// English (en.json) is the fallback for every missing language or key.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { readJsonFile } from './store.js';
+
+export const DEFAULT_LANGUAGE = 'en';
+const LOCALES_DIR = (process.env.LOCALES_DIR ?? '').trim() || './locales';
+
+let catalogs = {};     // code -> catalog
+let countryIndex = {}; // bracket code -> language code
+
+function validateCatalog(code, c) {
+  const errors = [];
+  const isText = v => typeof v === 'string' || (Array.isArray(v) && v.every(l => typeof l === 'string'));
+  if (typeof c?.name !== 'string' || !c.name) errors.push(`${code}: name must be a string`);
+  if (c?.countries && !Array.isArray(c.countries)) errors.push(`${code}: countries must be an array`);
+  if (!c?.messages || typeof c.messages !== 'object') errors.push(`${code}: messages must be an object`);
+  else {
+    for (const [key, v] of Object.entries(c.messages)) {
+      if (!isText(v)) errors.push(`${code}: messages.${key} must be a string or array of strings`);
+    }
+  }
+  if (c?.decision && typeof c.decision.templates !== 'object') errors.push(`${code}: decision.templates must be an object`);
+  return errors;
+}
+
+// Read every catalog; throws with all problems listed and keeps the previous catalogs on failure
+export function loadLocales() {
+  if (!fs.existsSync(LOCALES_DIR)) throw new Error(`${LOCALES_DIR} does not exist`);
+
+  const next = {};
+  const errors = [];
+  for (const file of fs.readdirSync(LOCALES_DIR).filter(f => f.endsWith('.json'))) {
+    const code = path.basename(file, '.json').toLowerCase();
+    let c;
+    try {
+      c = readJsonFile(path.join(LOCALES_DIR, file), null);
+    } catch (e) {
+      errors.push(`${code}: ${e.message}`);
+      continue;
+    }
+    errors.push(...validateCatalog(code, c));
+    next[code] = c;
+  }
+  if (!next[DEFAULT_LANGUAGE]) errors.push(`${DEFAULT_LANGUAGE}.json is required`);
+  if (errors.length) throw new Error(`${LOCALES_DIR}:\n  • ${errors.join('\n  • ')}`);
+
+  const index = {};
+  for (const [code, c] of Object.entries(next)) {
+    for (const cc of c.countries || []) index[String(cc).toLowerCase()] = code;
+  }
+  catalogs = next;
+  countryIndex = index;
+  return Object.keys(next);
+}
+
+export const hasLanguage = code => Boolean(catalogs[code]);
+export const languageName = code => catalogs[code]?.name || code;
+
+// [code, name] pairs, English first
+export function languageChoices() {
+  return Object.keys(catalogs)
+    .sort((a, b) => (a === DEFAULT_LANGUAGE ? -1 : b === DEFAULT_LANGUAGE ? 1 : a.localeCompare(b)))
+    .map(code => [code, catalogs[code].name]);
+}
+
+// "Spain [ES]" -> 'es'; null when the country role has no known language
+export function languageForCountry(countryName) {
+  const code = (countryName?.match(/\[([^\]]+)\]/)?.[1] || '').toLowerCase();
+  return (code && countryIndex[code]) || null;
+}
+
+const fill = (text, vars) => text.replace(/\{(\w+)\}/g, (m, name) => vars[name] ?? m);
+
+// Localized message; array entries are joined with newlines
+export function t(lang, key, vars = {}) {
+  const v = catalogs[lang]?.messages?.[key] ?? catalogs[DEFAULT_LANGUAGE]?.messages?.[key];
+  if (v == null) return key;
+  return fill(Array.isArray(v) ? v.join('\n') : v, vars);
+}
+
+// Translated decision pieces for a language, or null when it has none
+export const decisionCatalog = lang => (lang !== DEFAULT_LANGUAGE && catalogs[lang]?.decision) || null;
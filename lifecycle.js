@@ -0,0 +1,48 @@
+// lifecycle.js — Dispute state machine for the Disputes Bot (ESM, Node 18+)
+//
+// Pure rules: which states exist, which moves are allowed and which commands a state rules out.
+// bot.js persists meta, renames the thread and posts the status line after a move.
+
+export const DISPUTE_STATES = {
+  open:              { label: 'Open',              next: ['awaiting_evidence', 'under_review', 'voting', 'decided', 'closed', 'withdrawn'] },
+  awaiting_evidence: { label: 'Awaiting Evidence', next: ['under_review', 'voting', 'decided', 'closed', 'withdrawn'] },
+  under_review:      { label: 'Under Review',      next: ['awaiting_evidence', 'voting', 'decided', 'closed', 'withdrawn'] },
+  voting:            { label: 'Voting',            next: ['under_review', 'awaiting_evidence', 'decided', 'closed', 'withdrawn'] },
+  decided:           { label: 'Decided',           next: ['under_review', 'appealed', 'closed'] },
+  appealed:          { label: 'Appealed',          next: ['decided', 'closed'] },
+  closed:            { label: 'Closed',            next: ['appealed'] }, // only an appeal reopens the record
+  withdrawn:         { label: 'Withdrawn',         next: [] },
+};
+
+// Commands a state rules out (closed and withdrawn disputes take no thread commands at all)
+const STATE_BLOCKED_COMMANDS = {
+  decided: ['vote'],
+  appealed: ['decision', 'decision_edit', 'decision_retract', 'vote', 'merge'],
+};
+
+export const stateOf = meta => meta?.state || 'open'; // disputes from before the state machine count as open
+export const stateLabel = state => DISPUTE_STATES[state]?.label || state;
+export const canMoveTo = (meta, to) => stateOf(meta) === to || DISPUTE_STATES[stateOf(meta)].next.includes(to);
+
+// Refusal text when the dispute's state rules out this command, else null
+export function stateRefusal(meta, commandName) {
+  const state = stateOf(meta);
+  if (!(STATE_BLOCKED_COMMANDS[state] || []).includes(commandName)) return null;
+  return `🚫 This dispute is **${stateLabel(state)}**, so \`/${commandName}\` is not possible now.`;
+}
+
+export const statusLine = (from, to, by, note) =>
+  `🔖 Status: **${stateLabel(from)}** → **${stateLabel(to)}**${by ? ` by <@${by}>` : ''}${note ? ` — ${note}` : ''}`;
+
+// Record a move on meta (state + stateHistory). Returns false, changing nothing, when it is not allowed
+// or the dispute is already there.
+export function moveDisputeState(meta, to, { by = null, note = '', at = Date.now() } = {}) {
+  const from = stateOf(meta);
+  if (from === to || !DISPUTE_STATES[from].next.includes(to)) return false;
+  meta.state = to;
+  meta.stateHistory = [...(meta.stateHistory || []), { from, to, at, by, note }];
+  return true;
+}
+
+// /appeal_outcome results, as recorded on meta.appeal.status and shown in the result line
+export const APPEAL_OUTCOMES = { upheld: 'Upheld', overturned: 'Overturned', modified: 'Modified' };
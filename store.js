@@ -0,0 +1,90 @@
+// store.js — Local state store for the Disputes Bot (ESM, Node 18+)
+//
+// Two interchangeable backends behind the same tiny interface:
+//   load()          -> plain object snapshot ({} when nothing saved yet)
+//   save(snapshot)  -> persist the whole snapshot
+//
+// JSON is the default and needs no extra packages. SQLite needs the optional
+// `better-sqlite3` dependency and keeps one row per top-level snapshot key.
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+function ensureDir(file) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+}
+
+// ----- Plain JSON file helpers (also used for the runtime config) -----
+export function readJsonFile(file, fallback = {}) {
+  if (!fs.existsSync(file)) return fallback;
+  const raw = fs.readFileSync(file, 'utf8');
+  return raw.trim() ? JSON.parse(raw) : fallback;
+}
+
+export function writeJsonAtomic(file, data) {
+  // Write to a temp file then rename, so a crash mid-write never leaves half a file
+  ensureDir(file);
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+// ----- JSON file backend -----
+function createJsonStore(file) {
+  ensureDir(file);
+  return {
+    backend: 'json',
+    file,
+    load() {
+      return readJsonFile(file);
+    },
+    save(snapshot) {
+      writeJsonAtomic(file, snapshot);
+    }
+  };
+}
+
+// ----- SQLite backend (optional dependency) -----
+async function createSqliteStore(file) {
+  let Database;
+  try {
+    ({ default: Database } = await import('better-sqlite3'));
+  } catch {
+    throw new Error('STORE_BACKEND=sqlite requires the "better-sqlite3" package.');
+  }
+
+  ensureDir(file);
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec('CREATE TABLE IF NOT EXISTS state (key TEXT PRIMARY KEY, value TEXT NOT NULL)');
+
+  const selectAll = db.prepare('SELECT key, value FROM state');
+  const upsert = db.prepare(
+    'INSERT INTO state (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'
+  );
+  const saveAll = db.transaction(snapshot => {
+    for (const [key, value] of Object.entries(snapshot)) {
+      upsert.run(key, JSON.stringify(value));
+    }
+  });
+
+  return {
+    backend: 'sqlite',
+    file,
+    load() {
+      const out = {};
+      for (const row of selectAll.all()) out[row.key] = JSON.parse(row.value);
+      return out;
+    },
+    save(snapshot) {
+      saveAll(snapshot);
+    }
+  };
+}
+
+export async function openStore({ backend = 'json', file } = {}) {
+  const kind = String(backend).toLowerCase();
+  if (kind === 'sqlite') return createSqliteStore(file || './data/state.db');
+  if (kind === 'json') return createJsonStore(file || './data/state.json');
+  throw new Error(`Unknown STORE_BACKEND "${backend}" (use "json" or "sqlite").`);
+}
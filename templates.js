@@ -0,0 +1,89 @@
+// templates.js — Decision template checks and rendering (ESM, Node 18+)
+//
+// decision-templates.json (and each locale's `decision` block) hold header/footer lines,
+// team-rule texts and one entry per /decision outcome. bot.js loads the file, builds the
+// placeholder values for a dispute and posts the rendered text.
+
+// Thread meta fields that /decision and /decision_edit options overwrite (and templates may require)
+export const DECISION_META_OPTIONS = [
+  'team_rule', 'favour', 'schedule_window', 'device_player',
+  'pokemon', 'old_move', 'new_move', 'penalty_against'
+];
+const TEMPLATE_PLACEHOLDERS = new Set([
+  'disputer', 'opponent', 'raiser', 'issue', 'disputerCountry', 'opponentCountry',
+  'favourCountry', 'penaltyAgainst', 'deviceUser', 'teamRule', 'rules',
+  'schedule_window', 'pokemon', 'old_move', 'new_move'
+]);
+const SANCTION_KINDS = new Set(['penalty', 'warning', 'win']);
+const SANCTION_SIDES = new Set(['p1', 'p2', 'device', 'unfavoured', 'penalty_against']);
+
+// Every problem in a templates file; issues and votes are the /decision issue values and vote option keys
+export function validateTemplates(data, { issues, votes }) {
+  const errors = [];
+  const isLines = v => Array.isArray(v) && v.every(l => typeof l === 'string');
+  const checkPlaceholders = (where, lines) => {
+    for (const l of lines) {
+      for (const [, name] of l.matchAll(/\{(\w+)\}/g)) {
+        if (!TEMPLATE_PLACEHOLDERS.has(name)) errors.push(`${where}: unknown placeholder {${name}}`);
+      }
+    }
+  };
+
+  if (!isLines(data?.header)) errors.push('header must be an array of strings');
+  else checkPlaceholders('header', data.header);
+  if (!isLines(data?.footer)) errors.push('footer must be an array of strings');
+  else checkPlaceholders('footer', data.footer);
+  if (!data?.teamRules || typeof data.teamRules !== 'object') errors.push('teamRules must be an object');
+  if (!Array.isArray(data?.templates) || !data.templates.length) {
+    errors.push('templates must be a non-empty array');
+    return errors;
+  }
+  if (data.templates.length > 25) errors.push('at most 25 templates (Discord choice limit)');
+
+  const ids = new Set();
+  data.templates.forEach((t, i) => {
+    const where = `templates[${i}]${t?.id ? ` (${t.id})` : ''}`;
+    if (!/^[a-z0-9_]{1,50}$/.test(t?.id || '')) errors.push(`${where}: id must be lower_snake_case`);
+    else if (ids.has(t.id)) errors.push(`${where}: duplicate id`);
+    else ids.add(t.id);
+    if (typeof t?.label !== 'string' || !t.label || t.label.length > 100) errors.push(`${where}: label must be 1-100 characters`);
+    if (!issues.includes(t?.issue)) errors.push(`${where}: issue must be one of ${issues.join(', ')}`);
+    if (t?.clause != null && typeof t.clause !== 'string') errors.push(`${where}: clause must be a string or null`);
+    if (!isLines(t?.lines)) errors.push(`${where}: lines must be an array of strings`);
+    else checkPlaceholders(where, t.lines);
+    for (const f of t?.required || []) {
+      if (!DECISION_META_OPTIONS.includes(f)) errors.push(`${where}: unknown required field "${f}"`);
+    }
+    for (const v of t?.vote || []) {
+      if (!votes.includes(v)) errors.push(`${where}: unknown vote option "${v}"`);
+    }
+    for (const sn of t?.sanctions || []) {
+      if (!SANCTION_KINDS.has(sn?.kind)) errors.push(`${where}: sanction kind must be penalty, warning or win`);
+      if (!SANCTION_SIDES.has(sn?.side)) errors.push(`${where}: sanction side "${sn?.side}" is not valid`);
+      if (sn?.kind === 'penalty' && !(Number.isInteger(sn.points) && sn.points > 0)) errors.push(`${where}: penalty needs whole points > 0`);
+    }
+  });
+  return errors;
+}
+
+// Fill {placeholders}; a line that was only placeholders and renders empty (e.g. no team rule) is dropped
+export function renderTemplateLines(lines, vars) {
+  const out = [];
+  for (const line of lines) {
+    const text = line.replace(/\{(\w+)\}/g, (m, name) => vars[name] ?? m);
+    if (!text.trim() && line.trim()) continue;
+    out.push(text);
+  }
+  return out;
+}
+
+// Header, ruling and footer as one post
+export function renderDecision(header, lines, footer, vars) {
+  return [
+    ...renderTemplateLines(header, vars),
+    '',
+    ...renderTemplateLines(lines, vars),
+    '',
+    ...renderTemplateLines(footer, vars)
+  ].join('\n');
+}
@@ -0,0 +1,106 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { validateConfig, applyEnvOverrides, envOverriddenFields, parseFlag, isSnowflake } from '../config.js';
+
+const GUILD = '416850757245992961';
+const OTHER_GUILD = '736744916012630046';
+
+const baseConfig = () => ({
+  destGuildId: GUILD,
+  destRefHubChannelId: '731919732441350215',
+  refRoleId: '731919384179638285',
+  jrRefRoleId: '',
+  retagRoleId: '',
+  disputeReviewChannelId: '',
+  rulesChannelId: '',
+  voteQuorum: 3,
+  opponentResponseHours: 24,
+  slaDecisionHours: 24,
+  slaEscalateHours: 48,
+  slaReplyHours: 24,
+  autoCloseHours: 0,
+  headRefRoleId: '',
+  transcriptChannelId: '',
+  duplicateWindowHours: 48,
+  autoAssignLead: false,
+  origins: {
+    [GUILD]: { key: 'GYM', disputeChannelId: '743575738665533541', triggerRoleId: '731919384179638285', rulesChannelId: null }
+  }
+});
+
+test('isSnowflake and parseFlag', () => {
+  assert.equal(isSnowflake(GUILD), true);
+  assert.equal(isSnowflake('123'), false);
+  assert.equal(isSnowflake(''), false);
+  assert.equal(parseFlag('ON'), true);
+  assert.equal(parseFlag('no'), false);
+  assert.equal(parseFlag('maybe'), undefined);
+});
+
+test('validateConfig accepts a complete config', () => {
+  assert.deepEqual(validateConfig(baseConfig()), []);
+});
+
+test('validateConfig reports bad IDs, counts and flags', () => {
+  const cfg = { ...baseConfig(), destGuildId: 'nope', jrRefRoleId: '42', voteQuorum: -1, autoAssignLead: 'on' };
+  const errors = validateConfig(cfg);
+  assert.equal(errors.length, 4);
+  assert.match(errors.join('\n'), /destGuildId must be a Discord ID \(got "nope"\)/);
+  assert.match(errors.join('\n'), /jrRefRoleId must be a Discord ID or empty/);
+  assert.match(errors.join('\n'), /voteQuorum must be a whole number/);
+  assert.match(errors.join('\n'), /autoAssignLead must be on or off/);
+});
+
+test('validateConfig checks origins', () => {
+  assert.deepEqual(validateConfig({ ...baseConfig(), origins: [] }), ['origins must be an object keyed by guild ID']);
+
+  const cfg = baseConfig();
+  cfg.origins[OTHER_GUILD] = { key: 'GYM', disputeChannelId: 'x', triggerRoleId: '797983986152243200', triggerOnClose: 'archive' };
+  const errors = validateConfig(cfg).join('\n');
+  assert.match(errors, /key "GYM" is used twice/);
+  assert.match(errors, new RegExp(`origins.${OTHER_GUILD}.disputeChannelId must be a Discord ID`));
+  assert.match(errors, /triggerOnClose must be delete or keep/);
+});
+
+test('validateConfig requires a hub and referee role for another destination server', () => {
+  const cfg = baseConfig();
+  cfg.origins[GUILD].destGuildId = OTHER_GUILD;
+  assert.deepEqual(validateConfig(cfg), [`origins.${GUILD}: destGuildId needs its own destRefHubChannelId and refRoleId`]);
+
+  cfg.origins[GUILD].destRefHubChannelId = '1420609143894442054';
+  cfg.origins[GUILD].refRoleId = '797983986152243200';
+  assert.deepEqual(validateConfig(cfg), []);
+});
+
+test('applyEnvOverrides applies typed top-level values without touching the base', () => {
+  const base = baseConfig();
+  const cfg = applyEnvOverrides(base, { VOTE_QUORUM: ' 5 ', AUTO_ASSIGN_LEAD: 'yes', REF_ROLE_ID: '797983986152243200', RULES_CHANNEL_ID: '' });
+  assert.equal(cfg.voteQuorum, 5);
+  assert.equal(cfg.autoAssignLead, true);
+  assert.equal(cfg.refRoleId, '797983986152243200');
+  assert.equal(cfg.rulesChannelId, '');
+  assert.equal(base.voteQuorum, 3);
+  assert.equal(base.autoAssignLead, false);
+});
+
+test('applyEnvOverrides keeps unparseable flags so validation can report them', () => {
+  const cfg = applyEnvOverrides(baseConfig(), { AUTO_ASSIGN_LEAD: 'sometimes' });
+  assert.equal(cfg.autoAssignLead, 'sometimes');
+  assert.equal(validateConfig(cfg).length, 1);
+});
+
+test('applyEnvOverrides applies per-origin values and moves an origin to another guild', () => {
+  const cfg = applyEnvOverrides(baseConfig(), {
+    GYM_DISPUTE_CHANNEL_ID: '1420609143894442054',
+    GYM_TRIGGER_ON_CLOSE: 'keep',
+    GYM_GUILD_ID: OTHER_GUILD
+  });
+  assert.deepEqual(Object.keys(cfg.origins), [OTHER_GUILD]);
+  assert.equal(cfg.origins[OTHER_GUILD].disputeChannelId, '1420609143894442054');
+  assert.equal(cfg.origins[OTHER_GUILD].triggerOnClose, 'keep');
+});
+
+test('envOverriddenFields lists the env vars in effect', () => {
+  const env = { VOTE_QUORUM: '5', SLA_REPLY_HOURS: ' ', GYM_TRIGGER_ROLE_ID: '797983986152243200' };
+  assert.deepEqual(envOverriddenFields(baseConfig(), env), ['VOTE_QUORUM', 'GYM_TRIGGER_ROLE_ID']);
+});
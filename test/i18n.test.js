@@ -0,0 +1,67 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { loadLocales, t, languageChoices, languageForCountry, decisionCatalog, hasLanguage } from '../i18n.js';
+import { renderDecision } from '../templates.js';
+
+const readLocale = code => JSON.parse(fs.readFileSync(new URL(`../locales/${code}.json`, import.meta.url), 'utf8'));
+const placeholders = v => [...new Set([v].flat().join('\n').match(/\{\w+\}/g) || [])].sort();
+
+const codes = loadLocales();
+const en = readLocale('en');
+const templates = JSON.parse(fs.readFileSync(new URL('../decision-templates.json', import.meta.url), 'utf8'));
+
+test('all shipped locales load, English first in /language', () => {
+  assert.deepEqual([...codes].sort(), ['de', 'en', 'es', 'fr', 'pt']);
+  assert.deepEqual(languageChoices()[0], ['en', 'English']);
+  assert.equal(hasLanguage('fr'), true);
+  assert.equal(hasLanguage('xx'), false);
+});
+
+test('every locale has every English message with the same placeholders', () => {
+  for (const code of codes.filter(c => c !== 'en')) {
+    const { messages } = readLocale(code);
+    assert.deepEqual(Object.keys(messages).sort(), Object.keys(en.messages).sort(), code);
+    for (const [key, text] of Object.entries(en.messages)) {
+      assert.deepEqual(placeholders(messages[key]), placeholders(text), `${code}: ${key}`);
+    }
+  }
+});
+
+test('a country code belongs to one language', () => {
+  const owner = {};
+  for (const code of codes) {
+    for (const cc of readLocale(code).countries || []) {
+      assert.equal(owner[cc], undefined, `${cc} is listed by ${owner[cc]} and ${code}`);
+      owner[cc] = code;
+    }
+  }
+  assert.equal(languageForCountry('Spain [ES]'), 'es');
+  assert.equal(languageForCountry('Brasil [BRA]'), 'pt');
+  assert.equal(languageForCountry('Atlantis [ATL]'), null);
+  assert.equal(languageForCountry(null), null);
+});
+
+test('t fills placeholders, joins line arrays and falls back to English', () => {
+  assert.equal(t('en', 'raiser_dm', { name: 'Ash', link: 'https://x' }).split('\n')[0], 'Hi Ash, this is the **Gymbreakers Referee Team**.');
+  assert.match(t('en', 'raiser_dm', {}), /\{link\}/);
+  assert.equal(t('xx', 'closed_dm', { review: '#review' }), t('en', 'closed_dm', { review: '#review' }));
+  assert.equal(t('fr', 'no_such_key'), 'no_such_key');
+  assert.notEqual(t('es', 'closed_dm', { review: '#r' }), t('en', 'closed_dm', { review: '#r' }));
+});
+
+test('decision translations cover known templates and keep their placeholders', () => {
+  assert.equal(decisionCatalog('en'), null);
+  const ids = new Map(templates.templates.map(tp => [tp.id, tp]));
+  for (const code of codes.filter(c => decisionCatalog(c))) {
+    const cat = decisionCatalog(code);
+    assert.deepEqual(Object.keys(cat.teamRules || {}).sort(), Object.keys(templates.teamRules).sort(), `${code}: teamRules`);
+    // The translated header skips the mention line; the English original above it pings the players
+    for (const name of placeholders(cat.header)) assert.ok(placeholders(templates.header).includes(name), `${code}: header ${name}`);
+    for (const [id, lines] of Object.entries(cat.templates)) {
+      assert.ok(ids.has(id), `${code}: unknown template ${id}`);
+      assert.deepEqual(placeholders(lines), placeholders(ids.get(id).lines), `${code}: ${id}`);
+      assert.doesNotMatch(renderDecision(cat.header, lines, cat.footer, { disputer: '<@1>', teamRule: 'x' }), /\{(disputer|teamRule)\}/);
+    }
+  }
+});
@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DISPUTE_STATES, stateOf, stateLabel, canMoveTo, stateRefusal, statusLine, moveDisputeState } from '../lifecycle.js';
+
+test('every next state exists and withdrawn is final', () => {
+  for (const [state, { next }] of Object.entries(DISPUTE_STATES)) {
+    for (const to of next) assert.ok(DISPUTE_STATES[to], `${state} -> ${to}`);
+    assert.ok(!next.includes(state), `${state} lists itself`);
+  }
+  assert.deepEqual(DISPUTE_STATES.withdrawn.next, []);
+});
+
+test('disputes without a state count as open', () => {
+  assert.equal(stateOf({}), 'open');
+  assert.equal(stateOf(null), 'open');
+  assert.equal(stateLabel('awaiting_evidence'), 'Awaiting Evidence');
+  assert.equal(stateLabel('unknown'), 'unknown');
+});
+
+test('moveDisputeState follows the transition table', () => {
+  const allowed = [
+    ['open', 'voting'],
+    ['voting', 'decided'],
+    ['decided', 'appealed'],
+    ['appealed', 'decided'],
+    ['decided', 'closed'],
+    ['closed', 'appealed'],
+  ];
+  for (const [from, to] of allowed) {
+    const meta = { state: from };
+    assert.equal(moveDisputeState(meta, to, { by: '1', note: 'n', at: 5 }), true, `${from} -> ${to}`);
+    assert.equal(meta.state, to);
+    assert.deepEqual(meta.stateHistory, [{ from, to, at: 5, by: '1', note: 'n' }]);
+  }
+
+  const refused = [
+    ['open', 'appealed'],
+    ['decided', 'voting'],
+    ['closed', 'open'],
+    ['withdrawn', 'open'],
+    ['appealed', 'withdrawn'],
+  ];
+  for (const [from, to] of refused) {
+    const meta = { state: from };
+    assert.equal(moveDisputeState(meta, to), false, `${from} -> ${to}`);
+    assert.deepEqual(meta, { state: from });
+  }
+});
+
+test('moving to the current state records nothing but is allowed by canMoveTo', () => {
+  const meta = { state: 'voting', stateHistory: [] };
+  assert.equal(moveDisputeState(meta, 'voting'), false);
+  assert.deepEqual(meta.stateHistory, []);
+  assert.equal(canMoveTo(meta, 'voting'), true);
+  assert.equal(canMoveTo(meta, 'appealed'), false);
+});
+
+test('stateRefusal blocks commands per state', () => {
+  assert.equal(stateRefusal({}, 'vote'), null);
+  assert.match(stateRefusal({ state: 'decided' }, 'vote'), /\*\*Decided\*\*, so `\/vote` is not possible/);
+  assert.equal(stateRefusal({ state: 'decided' }, 'decision'), null);
+  assert.ok(stateRefusal({ state: 'appealed' }, 'decision_edit'));
+});
+
+test('statusLine names the move, the ref and the note', () => {
+  assert.equal(statusLine('open', 'voting', '42', 'vote opened'), '🔖 Status: **Open** → **Voting** by <@42> — vote opened');
+  assert.equal(statusLine('decided', 'closed'), '🔖 Status: **Decided** → **Closed**');
+});
@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { validateTemplates, renderTemplateLines, renderDecision } from '../templates.js';
+
+// Same values as ISSUE_CHOICES and VOTE_CHOICES in bot.js
+const CHOICES = {
+  issues: ['Lag', 'Communication', 'Device Issue', 'No Show', 'Wrong Pokemon or Moveset'],
+  votes: ['rematch', 'no_rematch', 'invalid', 'defwin', 'warning', 'penalty']
+};
+
+const data = JSON.parse(fs.readFileSync(new URL('../decision-templates.json', import.meta.url), 'utf8'));
+
+const vars = {
+  disputer: '<@111>', opponent: '<@222>', raiser: '<@111>', issue: 'Lag',
+  disputerCountry: '[FR] France', opponentCountry: '[DE] Germany',
+  favourCountry: '[FR] France', penaltyAgainst: '[DE] Germany', deviceUser: '<@222>',
+  teamRule: data.teamRules.new_teams, rules: '<#1>',
+  schedule_window: '24 hours', pokemon: 'Mew', old_move: 'Surf', new_move: 'Psychic'
+};
+
+test('the shipped decision-templates.json is valid', () => {
+  assert.deepEqual(validateTemplates(data, CHOICES), []);
+});
+
+test('every shipped template renders without leftover placeholders', () => {
+  for (const t of data.templates) {
+    const text = renderDecision(data.header, t.lines, data.footer, vars);
+    assert.doesNotMatch(text, /\{\w+\}/, t.id);
+    assert.ok(text.startsWith('<@111> <@222>\n'), t.id);
+  }
+});
+
+test('renderTemplateLines drops lines that only held empty placeholders', () => {
+  const lines = ['A **rematch will be granted**.', '{teamRule}', '', 'See {rules} and {unknown}.'];
+  assert.deepEqual(renderTemplateLines(lines, { teamRule: '', rules: '<#1>' }), [
+    'A **rematch will be granted**.',
+    '',
+    'See <#1> and {unknown}.'
+  ]);
+});
+
+test('renderDecision puts blank lines between header, ruling and footer', () => {
+  assert.equal(renderDecision(['{disputer}'], ['Rematch.'], ['Good luck.'], vars), '<@111>\n\nRematch.\n\nGood luck.');
+});
+
+test('validateTemplates lists every problem', () => {
+  const bad = structuredClone(data);
+  bad.header = ['{disputer} {nobody}'];
+  bad.templates[1].id = bad.templates[0].id;
+  bad.templates[2].issue = 'Weather';
+  bad.templates[3].required = ['colour'];
+  bad.templates[4].vote = ['coin_flip'];
+  bad.templates[5].sanctions = [{ kind: 'penalty', side: 'p1', points: 0 }, { kind: 'ban', side: 'referee' }];
+
+  const errors = validateTemplates(bad, CHOICES);
+  assert.deepEqual(errors, [
+    'header: unknown placeholder {nobody}',
+    `templates[1] (${data.templates[0].id}): duplicate id`,
+    `templates[2] (${data.templates[2].id}): issue must be one of ${CHOICES.issues.join(', ')}`,
+    `templates[3] (${data.templates[3].id}): unknown required field "colour"`,
+    `templates[4] (${data.templates[4].id}): unknown vote option "coin_flip"`,
+    `templates[5] (${data.templates[5].id}): penalty needs whole points > 0`,
+    `templates[5] (${data.templates[5].id}): sanction kind must be penalty, warning or win`,
+    `templates[5] (${data.templates[5].id}): sanction side "referee" is not valid`,
+  ]);
+});
+
+test('validateTemplates needs a non-empty template list', () => {
+  assert.deepEqual(validateTemplates({ header: [], footer: [], teamRules: {}, templates: [] }, CHOICES), ['templates must be a non-empty array']);
+});
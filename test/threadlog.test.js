@@ -0,0 +1,105 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { setPlayersLine, setIssueLine, setCountriesLine, appealOfLine, parseThreadLog, raiserFromOrigin } from '../threadlog.js';
+import { statusLine } from '../lifecycle.js';
+
+const BOT = '900000000000000001';
+let clock = 1000;
+const bot = content => ({ author: { id: BOT }, content, createdTimestamp: clock++ });
+const user = (id, content) => ({ author: { id }, content, createdTimestamp: clock++ });
+
+const intro = [
+  '⚖️ **Dispute** raised by <@111>',
+  '🔗 **Source:** https://discord.com/channels/416850757245992961/743575738665533541/1420000000000000000',
+  '**Countries:** [FR] France vs Unknown'
+].join('\n');
+
+test('parses the intro post and Set: lines of a dispute thread', () => {
+  const { origin, appeal, found } = parseThreadLog([
+    bot(intro),
+    bot(setPlayersLine('111', '222')),
+    bot(setIssueLine('Disconnect')),
+    bot(setCountriesLine('[FR] France', '[DE] Germany')),
+  ], BOT);
+
+  assert.deepEqual(origin, { originGuildId: '416850757245992961', channelId: '743575738665533541', messageId: '1420000000000000000' });
+  assert.equal(appeal, null);
+  assert.equal(found.p1Id, '111');
+  assert.equal(found.p2Id, '222');
+  assert.equal(found.issue, 'Disconnect');
+  assert.deepEqual(found.playerCountry, { id: null, name: '[FR] France' });
+  assert.deepEqual(found.opponentCountry, { id: null, name: '[DE] Germany' });
+});
+
+test('unknown countries in the intro post come back as null', () => {
+  const { found } = parseThreadLog([bot(intro)], BOT);
+  assert.equal(found.opponentCountry.name, null);
+});
+
+test('ignores player posts and mirrored DMs that look like bot lines', () => {
+  const { found } = parseThreadLog([
+    bot(intro),
+    user('333', setPlayersLine('333', '444')),
+    bot(`📥 DM from <@111>:\n${setIssueLine('Cheating')}`),
+  ], BOT);
+  assert.equal(found.p1Id, undefined);
+  assert.equal(found.issue, undefined);
+});
+
+test('later lines win: lead claims, handoffs, releases and status moves', () => {
+  const { found } = parseThreadLog([
+    bot(intro),
+    bot('🎯 <@555> claimed this dispute as lead referee.'),
+    bot('🔁 <@555> handed the lead of this dispute to <@666>.'),
+    bot(statusLine('open', 'voting', '666')),
+    bot(statusLine('voting', 'decided', '666', 'vote closed')),
+  ], BOT);
+  assert.equal(found.lead.userId, '666');
+  assert.equal(found.lead.via, 'handoff');
+  assert.equal(found.state, 'decided');
+
+  const released = parseThreadLog([bot(intro), bot('🎯 <@555> is the lead referee for this dispute (auto-assigned, 1 open lead).'),
+    bot('🔁 <@555> released the lead of this dispute. Any referee can `/claim` it.')], BOT);
+  assert.equal(released.found.lead, null);
+});
+
+test('parses an appeal thread header, its Set: lines and the recorded result', () => {
+  const header = [
+    appealOfLine('1430000000000000000', 2, '111', 'disputer'),
+    '**Reason:** The ruling ignored the replay.'
+  ].join('\n');
+  const { origin, appeal, found } = parseThreadLog([
+    bot(header),
+    bot(`${setPlayersLine('111', '222')}\n${setCountriesLine('[FR] France', '[DE] Germany')}`),
+    bot('⚖️ **Appeal result: Overturned** — decision #2 of <#1430000000000000000>.'),
+  ], BOT);
+
+  assert.equal(origin, null);
+  assert.equal(appeal.of, '1430000000000000000');
+  assert.equal(appeal.decisionNumber, 2);
+  assert.equal(appeal.by, '111');
+  assert.equal(appeal.byRole, 'disputer');
+  assert.equal(appeal.reason, 'The ruling ignored the replay.');
+  assert.equal(appeal.status, 'overturned');
+  assert.equal(found.p2Id, '222');
+  assert.equal(found.opponentCountry.name, '[DE] Germany');
+});
+
+test('reads the decision number from older appeal headers', () => {
+  const { appeal } = parseThreadLog([bot([
+    '⚖️ **Appeal** of <#1430000000000000000> — requested by <@222> (opponent)',
+    '**Decision under appeal:** #3 (Disconnect)',
+  ].join('\n'))], BOT);
+  assert.equal(appeal.decisionNumber, 3);
+  assert.equal(appeal.byRole, 'opponent');
+});
+
+test('raiserFromOrigin uses the author, or the raiser named by an intake post', () => {
+  assert.equal(raiserFromOrigin({ author: { id: '111', bot: false }, content: 'help <@&1>' }), '111');
+  assert.equal(raiserFromOrigin({
+    author: { id: BOT, bot: true },
+    content: '📝 **Dispute raised** by <@111> against <@222> ([DE] Germany)\n**Issue:** —'
+  }), '111');
+  assert.equal(raiserFromOrigin({ author: { id: BOT, bot: true }, content: 'something else' }), null);
+  assert.equal(raiserFromOrigin(null), null);
+});
@@ -0,0 +1,73 @@
+// threadlog.js — Read dispute state back from a ref thread's bot posts (ESM, Node 18+)
+//
+// The ref thread is the source of truth when the saved state is missing: the intro post carries
+// the Source link and countries, and every later change is a bot line built here or in lifecycle.js.
+// parseThreadLog(history, botId) takes oldest-first messages ({ author: { id }, content, createdTimestamp })
+// and returns { origin, appeal, found }; bot.js fetches the history and applies the result.
+
+import { DISPUTE_STATES, APPEAL_OUTCOMES } from './lifecycle.js';
+
+// Bot-posted confirmation lines (parsed back by parseThreadLog)
+export const setPlayersLine = (p1Id, p2Id) => `Set: **Disputer:** <@${p1Id}>  •  **Opponent:** <@${p2Id}>`;
+export const setIssueLine = issue => `Issue set to **${issue}**.`;
+export const setCountriesLine = (c1, c2) => `Set: **Countries:** ${c1} vs ${c2}`;
+export const appealOfLine = (origId, number, by, byRole) => `⚖️ **Appeal** of <#${origId}> — decision #${number} — requested by <@${by}> (${byRole})`;
+
+const SOURCE_LINK_RE = /🔗 \*\*Source:\*\* https:\/\/(?:\w+\.)?discord(?:app)?\.com\/channels\/(\d+)\/(\d+)\/(\d+)/;
+const COUNTRIES_RE   = /\*\*Countries:\*\* (.+?) vs (.+)$/m;
+const SET_PLAYERS_RE = /^Set: \*\*Disputer:\*\* <@!?(\d+)>\s+•\s+\*\*Opponent:\*\* <@!?(\d+)>/;
+const SET_ISSUE_RE   = /^Issue set to \*\*(.+?)\*\*\./;
+const RAISED_BY_RE   = /^📝 \*\*Dispute raised\*\* by <@!?(\d+)>/;
+const LEAD_SET_RE    = /^(?:🎯 <@!?(\d+)> (claimed|is the lead)|🔁 <@!?\d+> handed the lead of this dispute to <@!?(\d+)>)/;
+const LEAD_CLEAR_RE  = /^(?:🎯 <@!?\d+> is no longer the lead|🔁 <@!?\d+> released the lead)/;
+const STATUS_RE      = /^🔖 Status: \*\*.+?\*\* → \*\*(.+?)\*\*/;
+const APPEAL_OF_RE   = /^⚖️ \*\*Appeal\*\* of <#(\d+)>(?: — decision #(\d+))? — requested by <@!?(\d+)> \((.+?)\)$/m;
+const APPEAL_REASON_RE = /^\*\*Reason:\*\* (.+)$/m;
+const APPEAL_DECISION_RE = /^\*\*Decision under appeal:\*\* #(\d+)/m; // headers from before the decision # moved up
+const APPEAL_RESULT_RE = /^⚖️ \*\*Appeal result: (\w+)\*\*/;
+
+export function parseThreadLog(history, botId) {
+  let origin = null;
+  let appeal = null;
+  const found = {};
+  for (const m of history) {
+    if (m.author?.id !== botId) continue;
+    const text = m.content || '';
+    if (/^(📥|📤)/.test(text)) continue; // mirrored player DMs / bot DM echoes are not state
+    let r;
+    if (!origin && (r = text.match(SOURCE_LINK_RE))) {
+      origin = { originGuildId: r[1], channelId: r[2], messageId: r[3] };
+    }
+    if ((r = text.match(COUNTRIES_RE))) {
+      const name = v => (v === 'Unknown' ? null : v.trim());
+      found.playerCountry   = { id: null, name: name(r[1]) };
+      found.opponentCountry = { id: null, name: name(r[2]) };
+    }
+    if ((r = text.match(SET_PLAYERS_RE))) {
+      found.p1Id = r[1];
+      found.p2Id = r[2];
+    }
+    if ((r = text.match(SET_ISSUE_RE))) found.issue = r[1];
+    if ((r = text.match(LEAD_SET_RE))) {
+      found.lead = { userId: r[1] || r[3], since: m.createdTimestamp, via: r[2] === 'claimed' ? 'claim' : r[2] ? 'auto' : 'handoff' };
+    }
+    if (LEAD_CLEAR_RE.test(text)) found.lead = null;
+    if ((r = text.match(STATUS_RE))) {
+      found.state = Object.keys(DISPUTE_STATES).find(k => DISPUTE_STATES[k].label === r[1]) || found.state;
+    }
+    if (!origin && !appeal && (r = text.match(APPEAL_OF_RE))) {
+      appeal = {
+        of: r[1], decisionNumber: Number(r[2] || text.match(APPEAL_DECISION_RE)?.[1]) || null, by: r[3], byRole: r[4],
+        reason: text.match(APPEAL_REASON_RE)?.[1] || '', at: m.createdTimestamp, status: null
+      };
+    }
+    if (appeal && (r = text.match(APPEAL_RESULT_RE))) {
+      appeal.status = Object.keys(APPEAL_OUTCOMES).find(k => APPEAL_OUTCOMES[k] === r[1]) || appeal.status;
+    }
+  }
+  return { origin, appeal, found };
+}
+
+// Raiser of a dispute from its origin message: the author, or the user named by an intake-form post
+export const raiserFromOrigin = srcMsg =>
+  (srcMsg && !srcMsg.author?.bot ? srcMsg.author.id : srcMsg?.content?.match(RAISED_BY_RE)?.[1]) || null;
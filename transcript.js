@@ -0,0 +1,108 @@
+// transcript.js — Render a dispute thread as Markdown and HTML (ESM, Node 18+)
+//
+// Pure rendering: bot.js collects the thread into a plain object and gets two strings back.
+//   {
+//     title, threadId, url, exportedAt, closedAt?,
+//     facts:    [[label, value], ...]            dispute summary (players, issue, ...)
+//     decisions:[{ number, label, url, at, status }]
+//     evidence: [{ number, kind, name, url, sha256, uploader, at }]
+//     messages: [{ at, author, bot, content, attachments: [{ name, url }], embeds: [text], reactions: [text] }]
+//   }
+
+const iso = ms => (ms ? new Date(ms).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '—');
+
+const escapeHtml = s => String(s ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+export function renderMarkdown(t) {
+  const out = [
+    `# Transcript — ${t.title}`,
+    '',
+    `- **Thread:** ${t.url} (${t.threadId})`,
+    `- **Exported:** ${iso(t.exportedAt)}${t.closedAt ? ` · **Closed:** ${iso(t.closedAt)}` : ''}`,
+    ...t.facts.map(([k, v]) => `- **${k}:** ${v}`),
+    ''
+  ];
+
+  if (t.decisions.length) {
+    out.push('## Decisions', '');
+    for (const d of t.decisions) out.push(`${d.number}. ${d.label} — ${iso(d.at)} — ${d.status}${d.url ? ` — ${d.url}` : ''}`);
+    out.push('');
+  }
+  if (t.evidence.length) {
+    out.push('## Evidence', '');
+    for (const e of t.evidence) {
+      out.push(`- #${e.number} ${e.kind === 'file' ? `\`${e.name}\` sha256 \`${e.sha256}\`` : e.url} — ${e.uploader} — ${iso(e.at)}`);
+    }
+    out.push('');
+  }
+
+  out.push(`## Messages (${t.messages.length})`, '');
+  for (const m of t.messages) {
+    out.push(`**[${iso(m.at)}] ${m.author}${m.bot ? ' (bot)' : ''}:**`);
+    if (m.content) out.push(...m.content.split('\n').map(l => `> ${l}`));
+    for (const e of m.embeds) out.push(...e.split('\n').map(l => `> ▌ ${l}`));
+    for (const a of m.attachments) out.push(`> 📎 [${a.name}](${a.url})`);
+    if (m.reactions.length) out.push(`> Reactions: ${m.reactions.join(' · ')}`);
+    out.push('');
+  }
+  return out.join('\n');
+}
+
+export function renderHtml(t) {
+  const facts = t.facts.map(([k, v]) => `<dt>${escapeHtml(k)}</dt><dd>${escapeHtml(v)}</dd>`).join('');
+  const decisions = t.decisions.map(d =>
+    `<li>${escapeHtml(d.label)} — ${iso(d.at)} — ${escapeHtml(d.status)}${d.url ? ` — <a href="${escapeHtml(d.url)}">message</a>` : ''}</li>`
+  ).join('');
+  const evidence = t.evidence.map(e =>
+    `<li>#${e.number} ${e.kind === 'file'
+      ? `<code>${escapeHtml(e.name)}</code> sha256 <code>${escapeHtml(e.sha256)}</code>`
+      : `<a href="${escapeHtml(e.url)}">${escapeHtml(e.url)}</a>`} — ${escapeHtml(e.uploader)} — ${iso(e.at)}</li>`
+  ).join('');
+  const messages = t.messages.map(m => `
+    <div class="msg${m.bot ? ' bot' : ''}">
+      <div class="meta"><span class="author">${escapeHtml(m.author)}</span> <span class="time">${iso(m.at)}</span></div>
+      ${m.content ? `<div class="content">${escapeHtml(m.content)}</div>` : ''}
+      ${m.embeds.map(e => `<div class="embed">${escapeHtml(e)}</div>`).join('')}
+      ${m.attachments.map(a => `<div class="att">📎 <a href="${escapeHtml(a.url)}">${escapeHtml(a.name)}</a></div>`).join('')}
+      ${m.reactions.length ? `<div class="reactions">${escapeHtml(m.reactions.join(' · '))}</div>` : ''}
+    </div>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Transcript — ${escapeHtml(t.title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; background: #313338; color: #dbdee1; margin: 2rem; }
+  a { color: #00a8fc; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: .2rem 1rem; }
+  dt { font-weight: 600; }
+  .msg { padding: .5rem .75rem; border-bottom: 1px solid #3f4147; }
+  .msg.bot .author::after { content: " BOT"; font-size: .7rem; background: #5865f2; color: #fff; padding: 0 .25rem; border-radius: 3px; margin-left: .25rem; }
+  .author { font-weight: 600; color: #f2f3f5; }
+  .time { color: #949ba4; font-size: .8rem; }
+  .content, .embed { white-space: pre-wrap; margin-top: .25rem; }
+  .embed { border-left: 4px solid #5865f2; padding-left: .5rem; }
+  .reactions { color: #949ba4; font-size: .85rem; margin-top: .25rem; }
+</style>
+</head>
+<body>
+<h1>Transcript — ${escapeHtml(t.title)}</h1>
+<dl>
+  <dt>Thread</dt><dd><a href="${escapeHtml(t.url)}">${escapeHtml(t.threadId)}</a></dd>
+  <dt>Exported</dt><dd>${iso(t.exportedAt)}</dd>
+  ${t.closedAt ? `<dt>Closed</dt><dd>${iso(t.closedAt)}</dd>` : ''}
+  ${facts}
+</dl>
+${decisions ? `<h2>Decisions</h2><ol>${decisions}</ol>` : ''}
+${evidence ? `<h2>Evidence</h2><ul>${evidence}</ul>` : ''}
+<h2>Messages (${t.messages.length})</h2>
+${messages}
+</body>
+</html>
+`;
+}